@@ -0,0 +1,188 @@
+// Audio input for the audio-reactive mode: a Web Audio analyser fed from an audio file or the
+// microphone, boiled down to one smoothed level per frequency band.
+//
+// Bands are named frequency ranges in Hz. Every update() averages the analyser's spectrum over
+// each band and scales it by `gain`; the levels (0 to 1) follow that quickly when it rises
+// (`attack`) and slowly when it falls (`release`), both time constants in seconds. What the
+// levels drive is up to the caller: mapLevel() turns one into a value between a mapping's
+// `min` (silence) and `max` (full level).
+//
+// Files are decoded in the page (decodeAudioData) and played in a loop, so a local file needs
+// no network. Browsers only start audio after a user gesture (a key press, a drop).
+
+const FFT_SIZE = 2048;
+
+export const DEFAULT_BANDS = {
+    bass: [20, 250],
+    mid: [250, 2000],
+    treble: [2000, 12000]
+};
+
+// Throws a descriptive error unless the settings configure() takes are usable
+export function checkAudioSettings({ bands, gain, attack, release }) {
+    checkBands(bands);
+    checkPositive('gain', gain);
+    checkPositive('attack', attack, true);
+    checkPositive('release', release, true);
+}
+
+function checkBands(bands) {
+    const entries = Object.entries(bands || {});
+    if (entries.length === 0) throw new Error('Audio bands must name at least one frequency range');
+    entries.forEach(([name, range]) => {
+        if (!Array.isArray(range) || range.length !== 2 || !(range[0] >= 0) || !(range[1] > range[0])) {
+            throw new RangeError(`Audio band "${name}" must be a [low, high] range in Hz with low < high (got ${JSON.stringify(range)})`);
+        }
+    });
+}
+
+function checkPositive(name, value, allowZero = false) {
+    if (typeof value !== 'number' || !Number.isFinite(value) || !(allowZero ? value >= 0 : value > 0)) {
+        throw new RangeError(`Audio ${name} must be a number ${allowZero ? 'of 0 or more' : 'above 0'} (got ${value})`);
+    }
+}
+
+// Throws a descriptive error unless `mapping` is a { band, min, max } of one of `bands`
+export function checkMapping(name, mapping, bands) {
+    if (!mapping || typeof mapping !== 'object') throw new TypeError(`Audio mapping "${name}" must be an object { band, min, max }`);
+    if (!(mapping.band in bands)) {
+        throw new Error(`Audio mapping "${name}" uses unknown band "${mapping.band}" (available: ${Object.keys(bands).join(', ')})`);
+    }
+    ['min', 'max'].forEach(key => {
+        if (typeof mapping[key] !== 'number' || !Number.isFinite(mapping[key])) {
+            throw new TypeError(`Audio mapping "${name}" needs a numeric ${key} (got ${mapping[key]})`);
+        }
+    });
+}
+
+// The value `mapping` ({ band, min, max }) takes at the current `levels`
+export function mapLevel(levels, mapping) {
+    return mapping.min + (mapping.max - mapping.min) * (levels[mapping.band] || 0);
+}
+
+class AudioReactive {
+    constructor(options = {}) {
+        this.context = null;
+        this.analyser = null;
+        this.spectrum = null;
+        this.source = null; // Node feeding the analyser while listening
+        this.stream = null; // Microphone stream
+        this.sourceName = null; // 'microphone' or the name of the file
+        this.levels = {};
+        this.configure(Object.assign({ bands: DEFAULT_BANDS, gain: 1, attack: 0.05, release: 0.4 }, options));
+    }
+
+    // Change any of bands, gain, attack and release; levels of bands that stay keep their value
+    configure({ bands = this.bands, gain = this.gain, attack = this.attack, release = this.release }) {
+        checkAudioSettings({ bands: bands, gain: gain, attack: attack, release: release });
+        this.bands = bands;
+        this.gain = gain;
+        this.attack = attack;
+        this.release = release;
+
+        const levels = {};
+        Object.keys(bands).forEach(name => levels[name] = this.levels[name] || 0);
+        this.levels = levels;
+    }
+
+    get listening() {
+        return this.source !== null;
+    }
+
+    // Created on first use, from the user gesture that asked for audio
+    ensureContext() {
+        if (!this.context) {
+            const AudioContext = window.AudioContext || window.webkitAudioContext;
+            if (!AudioContext) throw new Error('This browser has no Web Audio support');
+            this.context = new AudioContext();
+            this.analyser = this.context.createAnalyser();
+            this.analyser.fftSize = FFT_SIZE;
+            this.analyser.smoothingTimeConstant = 0; // update() does the smoothing
+            this.spectrum = new Uint8Array(this.analyser.frequencyBinCount);
+        }
+        return this.context;
+    }
+
+    // Play an audio file (File, Blob or ArrayBuffer) in a loop and follow it
+    async useFile(file, name = file.name || 'audio') {
+        const context = this.ensureContext();
+        const buffer = file instanceof ArrayBuffer ? file : await file.arrayBuffer();
+        let audioBuffer;
+        try {
+            audioBuffer = await context.decodeAudioData(buffer);
+        } catch (error) {
+            throw new Error(`"${name}" is not an audio file this browser can decode`);
+        }
+
+        this.stop();
+        const source = context.createBufferSource();
+        source.buffer = audioBuffer;
+        source.loop = true;
+        source.connect(this.analyser);
+        source.connect(context.destination);
+        source.start();
+        this.source = source;
+        this.sourceName = name;
+        await context.resume();
+    }
+
+    // Follow the microphone (not played back, which would feed back)
+    async useMicrophone() {
+        const context = this.ensureContext();
+        if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+            throw new Error('This browser has no microphone access');
+        }
+        const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+
+        this.stop();
+        this.stream = stream;
+        this.source = context.createMediaStreamSource(stream);
+        this.source.connect(this.analyser);
+        this.sourceName = 'microphone';
+        await context.resume();
+    }
+
+    // Stop listening; the levels fall back to 0 with the release time
+    stop() {
+        if (this.source) {
+            if (this.source.stop) this.source.stop();
+            this.source.disconnect();
+        }
+        if (this.stream) this.stream.getTracks().forEach(track => track.stop());
+        this.source = null;
+        this.stream = null;
+        this.sourceName = null;
+    }
+
+    // Advance the levels by dt seconds; returns them ({ band: level })
+    update(dt) {
+        const listening = this.listening;
+        if (listening) this.analyser.getByteFrequencyData(this.spectrum);
+        const binWidth = listening ? this.context.sampleRate / FFT_SIZE : 0;
+
+        Object.entries(this.bands).forEach(([name, [low, high]]) => {
+            let target = 0;
+            if (listening) {
+                const first = Math.min(this.spectrum.length - 1, Math.floor(low / binWidth));
+                const last = Math.max(first, Math.min(this.spectrum.length - 1, Math.ceil(high / binWidth) - 1));
+                let sum = 0;
+                for (let i = first; i <= last; i++) sum += this.spectrum[i];
+                target = Math.min(1, sum / (last - first + 1) / 255 * this.gain);
+            }
+
+            const level = this.levels[name];
+            const time = target > level ? this.attack : this.release;
+            this.levels[name] = time > 0 ? level + (target - level) * (1 - Math.exp(-dt / time)) : target;
+        });
+        return this.levels;
+    }
+
+    dispose() {
+        this.stop();
+        if (this.context) this.context.close();
+        this.context = null;
+        this.analyser = null;
+    }
+}
+
+export default AudioReactive;
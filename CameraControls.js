@@ -0,0 +1,251 @@
+// Orbit / zoom / pan camera navigation for mouse, touch and keyboard.
+//
+// Mouse:    left drag orbits, right drag (or shift + left drag) pans, wheel zooms
+// Touch:    one finger orbits, two fingers pinch to zoom and drag to pan
+// Keyboard: arrow keys orbit, shift + arrow keys pan, +/- zoom
+//
+// The camera always looks at `target` from a point on a sphere around it
+// (radius, theta around the y axis, phi down from the y axis). State changes
+// are reported through the onChange callback so the view can be persisted.
+// three.js comes in as the `three` option.
+
+const ROTATE_SPEED = 1.0; // Full turn per drag across the element's height
+const ZOOM_SPEED = 0.95; // Radius factor per wheel notch / key press
+const KEY_ROTATE_STEP = 0.05; // Radians per arrow key press
+const KEY_PAN_STEP = 20; // Pixels per shift + arrow key press
+const EPS = 0.000001;
+
+function easeInOutCubic(x) {
+    return x < 0.5 ? 4 * x * x * x : 1 - Math.pow(-2 * x + 2, 3) / 2;
+}
+
+class CameraControls {
+    // keyTarget: element (or window) listening for the keys; several controls on one page need their own
+    constructor(camera, domElement, { three, target = new three.Vector3(), minRadius = 0.5, maxRadius = 200, keyTarget = window, onChange = null }) {
+        const t = three;
+        this.three = three;
+        this.camera = camera;
+        this.domElement = domElement;
+        this.keyTarget = keyTarget;
+        this.target = target.clone();
+        this.minRadius = minRadius;
+        this.maxRadius = maxRadius;
+        this.onChange = onChange;
+        this.enabled = true;
+
+        // Camera position relative to the target
+        this.spherical = new t.Spherical().setFromVector3(camera.position.clone().sub(this.target));
+        this.home = this.getState();
+
+        this.pointers = new Map(); // Active pointers by id: last { x, y }
+        this.flight = null; // In-progress flyTo() animation
+
+        this.onPointerDown = this.onPointerDown.bind(this);
+        this.onPointerMove = this.onPointerMove.bind(this);
+        this.onPointerUp = this.onPointerUp.bind(this);
+        this.onWheel = this.onWheel.bind(this);
+        this.onKeyDown = this.onKeyDown.bind(this);
+        this.onContextMenu = event => event.preventDefault();
+
+        domElement.style.touchAction = 'none';
+        domElement.addEventListener('pointerdown', this.onPointerDown);
+        domElement.addEventListener('pointermove', this.onPointerMove);
+        domElement.addEventListener('pointerup', this.onPointerUp);
+        domElement.addEventListener('pointercancel', this.onPointerUp);
+        domElement.addEventListener('wheel', this.onWheel, { passive: false });
+        domElement.addEventListener('contextmenu', this.onContextMenu);
+        keyTarget.addEventListener('keydown', this.onKeyDown);
+
+        this.apply(false);
+    }
+
+    dispose() {
+        this.domElement.removeEventListener('pointerdown', this.onPointerDown);
+        this.domElement.removeEventListener('pointermove', this.onPointerMove);
+        this.domElement.removeEventListener('pointerup', this.onPointerUp);
+        this.domElement.removeEventListener('pointercancel', this.onPointerUp);
+        this.domElement.removeEventListener('wheel', this.onWheel);
+        this.domElement.removeEventListener('contextmenu', this.onContextMenu);
+        this.keyTarget.removeEventListener('keydown', this.onKeyDown);
+    }
+
+    // Plain, serializable view: { target: [x, y, z], radius, theta, phi }
+    getState() {
+        return {
+            target: this.target.toArray(),
+            radius: this.spherical.radius,
+            theta: this.spherical.theta,
+            phi: this.spherical.phi
+        };
+    }
+
+    setState(state) {
+        this.flight = null;
+        this.target.fromArray(state.target);
+        this.spherical.set(state.radius, state.phi, state.theta);
+        this.apply();
+    }
+
+    // Fly back to the view the controls started with
+    reset(duration = 0.8) {
+        this.flyTo(new this.three.Vector3().fromArray(this.home.target), this.home.radius, duration, this.home);
+    }
+
+    // Smoothly move the target (and optionally radius/angles) to a new place
+    flyTo(target, radius = this.spherical.radius, duration = 1.2, angles = null) {
+        const from = this.getState();
+        this.flight = {
+            elapsed: 0,
+            duration: Math.max(duration, EPS),
+            from: from,
+            to: {
+                target: target.toArray(),
+                radius: radius,
+                theta: angles ? angles.theta : from.theta,
+                phi: angles ? angles.phi : from.phi
+            }
+        };
+    }
+
+    // Advance the flyTo() animation; call once per frame with the frame time in seconds
+    update(dt) {
+        if (!this.flight) return;
+
+        const flight = this.flight;
+        flight.elapsed += dt;
+        const k = easeInOutCubic(Math.min(flight.elapsed / flight.duration, 1));
+        const lerp = (a, b) => a + (b - a) * k;
+
+        this.target.set(
+            lerp(flight.from.target[0], flight.to.target[0]),
+            lerp(flight.from.target[1], flight.to.target[1]),
+            lerp(flight.from.target[2], flight.to.target[2])
+        );
+        this.spherical.set(
+            lerp(flight.from.radius, flight.to.radius),
+            lerp(flight.from.phi, flight.to.phi),
+            lerp(flight.from.theta, flight.to.theta)
+        );
+
+        if (flight.elapsed >= flight.duration) this.flight = null;
+        this.apply();
+    }
+
+    rotate(dTheta, dPhi) {
+        this.flight = null;
+        this.spherical.theta -= dTheta;
+        this.spherical.phi = Math.max(EPS, Math.min(Math.PI - EPS, this.spherical.phi - dPhi));
+        this.apply();
+    }
+
+    zoom(factor) {
+        this.flight = null;
+        this.spherical.radius = Math.max(this.minRadius, Math.min(this.maxRadius, this.spherical.radius * factor));
+        this.apply();
+    }
+
+    // Move the target in the camera's view plane by a distance given in pixels
+    pan(dx, dy) {
+        const t = this.three;
+        this.flight = null;
+
+        // World units per pixel at the target's distance; the shared virtual camera spans the whole screen
+        const viewHeight = this.camera.view && this.camera.view.enabled ? this.camera.view.fullHeight : this.domElement.clientHeight;
+        const worldPerPixel = 2 * this.spherical.radius * Math.tan(t.MathUtils.degToRad(this.camera.fov / 2)) / viewHeight;
+
+        const right = new t.Vector3().setFromMatrixColumn(this.camera.matrix, 0);
+        const up = new t.Vector3().setFromMatrixColumn(this.camera.matrix, 1);
+        this.target.addScaledVector(right, -dx * worldPerPixel);
+        this.target.addScaledVector(up, dy * worldPerPixel);
+        this.apply();
+    }
+
+    // Place the camera according to target + spherical
+    apply(notify = true) {
+        this.camera.position.setFromSpherical(this.spherical).add(this.target);
+        this.camera.lookAt(this.target);
+        this.camera.updateMatrix();
+        if (notify && this.onChange) this.onChange(this.getState());
+    }
+
+    onPointerDown(event) {
+        if (!this.enabled) return;
+        this.domElement.setPointerCapture(event.pointerId);
+        this.pointers.set(event.pointerId, { x: event.clientX, y: event.clientY, button: event.button, shift: event.shiftKey });
+    }
+
+    onPointerMove(event) {
+        const previous = this.pointers.get(event.pointerId);
+        if (!this.enabled || !previous) return;
+
+        const current = { x: event.clientX, y: event.clientY, button: previous.button, shift: event.shiftKey };
+
+        if (this.pointers.size === 1) {
+            const dx = current.x - previous.x;
+            const dy = current.y - previous.y;
+            if (previous.button === 2 || current.shift) {
+                this.pan(dx, dy);
+            } else {
+                const height = this.domElement.clientHeight || 1;
+                this.rotate(2 * Math.PI * dx / height * ROTATE_SPEED, 2 * Math.PI * dy / height * ROTATE_SPEED);
+            }
+        } else if (this.pointers.size === 2) {
+            // Pinch: distance change zooms, midpoint movement pans
+            const other = Array.from(this.pointers.entries()).find(([id]) => id !== event.pointerId)[1];
+            const before = Math.hypot(previous.x - other.x, previous.y - other.y);
+            const after = Math.hypot(current.x - other.x, current.y - other.y);
+            if (before > 0 && after > 0) this.zoom(before / after);
+            this.pan((current.x - previous.x) / 2, (current.y - previous.y) / 2);
+        }
+
+        this.pointers.set(event.pointerId, current);
+    }
+
+    onPointerUp(event) {
+        this.pointers.delete(event.pointerId);
+        if (this.domElement.hasPointerCapture && this.domElement.hasPointerCapture(event.pointerId)) {
+            this.domElement.releasePointerCapture(event.pointerId);
+        }
+    }
+
+    onWheel(event) {
+        if (!this.enabled) return;
+        event.preventDefault();
+        this.zoom(event.deltaY > 0 ? 1 / ZOOM_SPEED : ZOOM_SPEED);
+    }
+
+    onKeyDown(event) {
+        if (!this.enabled || event.ctrlKey || event.metaKey || event.altKey) return;
+        // Leave keys alone while the user is typing into a form field
+        if (event.target && /^(INPUT|TEXTAREA|SELECT)$/.test(event.target.tagName)) return;
+
+        const pan = event.shiftKey;
+        switch (event.key) {
+            case 'ArrowLeft':
+                pan ? this.pan(KEY_PAN_STEP, 0) : this.rotate(-KEY_ROTATE_STEP, 0);
+                break;
+            case 'ArrowRight':
+                pan ? this.pan(-KEY_PAN_STEP, 0) : this.rotate(KEY_ROTATE_STEP, 0);
+                break;
+            case 'ArrowUp':
+                pan ? this.pan(0, KEY_PAN_STEP) : this.rotate(0, -KEY_ROTATE_STEP);
+                break;
+            case 'ArrowDown':
+                pan ? this.pan(0, -KEY_PAN_STEP) : this.rotate(0, KEY_ROTATE_STEP);
+                break;
+            case '+':
+            case '=':
+                this.zoom(ZOOM_SPEED);
+                break;
+            case '-':
+            case '_':
+                this.zoom(1 / ZOOM_SPEED);
+                break;
+            default:
+                return;
+        }
+        event.preventDefault();
+    }
+}
+
+export default CameraControls;
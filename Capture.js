@@ -0,0 +1,234 @@
+// Still and video capture of the scene.
+//
+// Stills are rendered off screen at any resolution. The view is the one on the
+// canvas (widened or narrowed to the requested aspect ratio), rendered in tiles
+// through camera.setViewOffset() when it is larger than the GPU can draw at once,
+// and put together into one PNG.
+//
+// Videos are recorded with a fixed timestep: the capture takes over the frame loop
+// and advances the scene by exactly 1 / fps seconds per frame through the `step`
+// callback, however long each frame takes to render. Frames go either into a WebM
+// file through MediaRecorder, or out one by one as PNG images.
+
+const MAX_TILE_SIZE = 4096; // Largest tile rendered at once, even if the GPU could do more
+const WEBM_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+function canvasToPng(canvas) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => {
+            // toBlob gives null when the canvas is larger than the browser can encode
+            blob ? resolve(blob) : reject(new Error(`Could not encode a ${canvas.width}x${canvas.height} PNG`));
+        }, 'image/png');
+    });
+}
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Save a blob as a file through the browser's download mechanism
+export function download(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+class Capture {
+    // three:                the three.js namespace
+    // step(dt):             advance the scene by dt seconds (everything but drawing)
+    // onPixelRatio(ratio):  called with the output pixels per CSS pixel of a still before it is
+    //                       rendered (and with the renderer's own ratio afterwards), for anything
+    //                       sized in pixels, like the points
+    constructor(renderer, scene, camera, { three, step, onPixelRatio = null }) {
+        this.three = three;
+        this.renderer = renderer;
+        this.scene = scene;
+        this.camera = camera;
+        this.step = step;
+        this.onPixelRatio = onPixelRatio;
+        this.recording = false;
+        this.stopRequested = false;
+    }
+
+    // Largest tile the GPU can render and read back
+    maxTileSize() {
+        const gl = this.renderer.getContext();
+        const viewport = gl.getParameter(gl.MAX_VIEWPORT_DIMS);
+        return Math.min(MAX_TILE_SIZE, this.renderer.capabilities.maxTextureSize,
+            gl.getParameter(gl.MAX_RENDERBUFFER_SIZE), viewport[0], viewport[1]);
+    }
+
+    // Render the current view as a width x height PNG
+    async still(width, height) {
+        const t = this.three;
+        if (!(width >= 1 && height >= 1)) {
+            throw new RangeError(`Still size must be at least 1x1 (got ${width}x${height})`);
+        }
+        width = Math.round(width);
+        height = Math.round(height);
+
+        const camera = this.camera;
+        const savedView = camera.view && camera.view.enabled ? Object.assign({}, camera.view) : null;
+        const savedAspect = camera.aspect;
+
+        // The canvas' view in CSS pixels of the full (possibly multi-window) view
+        const size = this.renderer.getSize(new t.Vector2());
+        const view = savedView || {
+            fullWidth: size.x, fullHeight: size.y, offsetX: 0, offsetY: 0, width: size.x, height: size.y
+        };
+        // Keep the height and center of the view, adjust its width to the requested aspect ratio
+        const scale = height / view.height;
+        const viewWidth = view.height * width / height;
+        const left = (view.offsetX + view.width / 2 - viewWidth / 2) * scale;
+        const top = view.offsetY * scale;
+
+        const tileSize = this.maxTileSize();
+        const target = this.renderer.capabilities.isWebGL2 ?
+            new t.WebGLMultisampleRenderTarget(1, 1) :
+            new t.WebGLRenderTarget(1, 1);
+        const output = document.createElement('canvas');
+        output.width = width;
+        output.height = height;
+        const context = output.getContext('2d');
+        const previousTarget = this.renderer.getRenderTarget();
+
+        if (this.onPixelRatio) this.onPixelRatio(scale);
+        try {
+            for (let y = 0; y < height; y += tileSize) {
+                for (let x = 0; x < width; x += tileSize) {
+                    const tileWidth = Math.min(tileSize, width - x);
+                    const tileHeight = Math.min(tileSize, height - y);
+                    target.setSize(tileWidth, tileHeight);
+                    camera.setViewOffset(view.fullWidth * scale, view.fullHeight * scale, left + x, top + y, tileWidth, tileHeight);
+
+                    this.renderer.setRenderTarget(target);
+                    this.renderer.render(this.scene, camera);
+
+                    const pixels = new Uint8Array(tileWidth * tileHeight * 4);
+                    this.renderer.readRenderTargetPixels(target, 0, 0, tileWidth, tileHeight, pixels);
+                    context.putImageData(this.flipRows(pixels, tileWidth, tileHeight), x, y);
+                }
+            }
+        } finally {
+            this.renderer.setRenderTarget(previousTarget);
+            target.dispose();
+            if (this.onPixelRatio) this.onPixelRatio(this.renderer.getPixelRatio());
+
+            if (savedView) {
+                camera.setViewOffset(savedView.fullWidth, savedView.fullHeight, savedView.offsetX, savedView.offsetY, savedView.width, savedView.height);
+            } else {
+                camera.clearViewOffset();
+            }
+            camera.aspect = savedAspect;
+            camera.updateProjectionMatrix();
+        }
+
+        return canvasToPng(output);
+    }
+
+    // WebGL reads pixels bottom row first; images start at the top
+    flipRows(pixels, width, height) {
+        const image = new ImageData(width, height);
+        const rowLength = width * 4;
+        for (let row = 0; row < height; row++) {
+            image.data.set(pixels.subarray(row * rowLength, (row + 1) * rowLength), (height - 1 - row) * rowLength);
+        }
+        return image;
+    }
+
+    // Record `duration` seconds of scene time at `fps` frames per second, at the canvas' resolution.
+    //   format 'webm': resolves to the video Blob
+    //   format 'png':  every frame is handed to onFrame(blob, index) as soon as it is encoded;
+    //                  resolves to the number of frames
+    // stop() ends the recording early; what was recorded so far is kept.
+    async record({ fps = 60, duration = 10, format = 'webm', videoBitsPerSecond = 20e6, onFrame = null } = {}) {
+        if (this.recording) throw new Error('A recording is already running');
+        if (!(fps > 0) || !(duration > 0)) {
+            throw new RangeError('Recording needs a positive frame rate and duration');
+        }
+        if (format === 'png' && typeof onFrame !== 'function') {
+            throw new TypeError('PNG sequence recording needs an onFrame(blob, index) callback');
+        }
+        if (format !== 'png' && format !== 'webm') {
+            throw new Error(`Unknown recording format "${format}" (available: webm, png)`);
+        }
+
+        this.recording = true;
+        this.stopRequested = false;
+        try {
+            const frames = Math.round(duration * fps);
+            return format === 'webm' ?
+                await this.recordWebm(frames, fps, videoBitsPerSecond) :
+                await this.recordPng(frames, fps, onFrame);
+        } finally {
+            this.recording = false;
+        }
+    }
+
+    stop() {
+        this.stopRequested = true;
+    }
+
+    renderStep(dt) {
+        this.step(dt);
+        this.renderer.render(this.scene, this.camera);
+    }
+
+    async recordPng(frames, fps, onFrame) {
+        const canvas = this.renderer.domElement;
+        let frame = 0;
+        for (; frame < frames && !this.stopRequested; frame++) {
+            this.renderStep(1 / fps);
+            // Read the drawing buffer in the same task it was drawn in, before the browser clears it
+            const blob = canvasToPng(canvas);
+            onFrame(await blob, frame);
+        }
+        return frame;
+    }
+
+    // MediaRecorder stamps frames with the wall clock. The recorder is paused while a frame is
+    // rendered and only runs for exactly one frame interval after it, so slow frames don't
+    // stretch or drop anything in the video.
+    async recordWebm(frames, fps, videoBitsPerSecond) {
+        const mimeType = typeof MediaRecorder !== 'undefined' && WEBM_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+        if (!mimeType) {
+            throw new Error('This browser cannot record WebM video; record a PNG sequence instead');
+        }
+
+        const stream = this.renderer.domElement.captureStream(0); // Frames only when requested
+        const track = stream.getVideoTracks()[0];
+        const recorder = new MediaRecorder(stream, { mimeType: mimeType, videoBitsPerSecond: videoBitsPerSecond });
+        const chunks = [];
+        recorder.ondataavailable = event => {
+            if (event.data.size > 0) chunks.push(event.data);
+        };
+        const stopped = new Promise(resolve => {
+            recorder.onstop = resolve;
+        });
+
+        recorder.start();
+        recorder.pause();
+        try {
+            for (let frame = 0; frame < frames && !this.stopRequested; frame++) {
+                this.renderStep(1 / fps);
+                recorder.resume();
+                track.requestFrame();
+                await wait(1000 / fps);
+                recorder.pause();
+            }
+        } finally {
+            recorder.stop();
+            await stopped;
+            track.stop();
+        }
+
+        return new Blob(chunks, { type: 'video/webm' });
+    }
+}
+
+export default Capture;
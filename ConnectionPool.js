@@ -0,0 +1,154 @@
+// Fixed-capacity pool of line segments drawn with a single LineSegments object.
+// All buffers are allocated once; segments are handed out and returned through
+// a free-list, so creating and removing connections never allocates GPU memory.
+// Each segment has a real alpha value (read by the shader), which is what the
+// fade-in / fade-out lifecycle animates. three.js comes in as the `three` option.
+
+const vertexShader = `
+    attribute vec3 color;
+    attribute float alpha;
+
+    varying vec3 vColor;
+    varying float vAlpha;
+
+    void main() {
+        vColor = color;
+        vAlpha = alpha;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+`;
+
+const fragmentShader = `
+    uniform float opacity;
+
+    varying vec3 vColor;
+    varying float vAlpha;
+
+    void main() {
+        if (vAlpha <= 0.0) discard;
+        gl_FragColor = vec4(vColor, vAlpha * opacity);
+    }
+`;
+
+class ConnectionPool {
+    constructor(capacity, { three, blending = three.AdditiveBlending }) {
+        const t = three;
+        this.capacity = capacity;
+
+        this.positions = new Float32Array(capacity * 6); // 2 vertices x 3 components per segment
+        this.colors = new Float32Array(capacity * 6);
+        this.alphas = new Float32Array(capacity * 2); // Same alpha on both vertices of a segment
+
+        this.geometry = new t.BufferGeometry();
+        this.geometry.setAttribute('position', new t.BufferAttribute(this.positions, 3).setUsage(t.DynamicDrawUsage));
+        this.geometry.setAttribute('color', new t.BufferAttribute(this.colors, 3).setUsage(t.DynamicDrawUsage));
+        this.geometry.setAttribute('alpha', new t.BufferAttribute(this.alphas, 1).setUsage(t.DynamicDrawUsage));
+        this.geometry.setDrawRange(0, 0);
+
+        this.material = new t.ShaderMaterial({
+            uniforms: {
+                opacity: { value: 1.0 }
+            },
+            vertexShader: vertexShader,
+            fragmentShader: fragmentShader,
+            transparent: true,
+            depthWrite: false,
+            blending: blending
+        });
+
+        this.lines = new t.LineSegments(this.geometry, this.material);
+        // Endpoints move every frame, so the bounding sphere is never current
+        this.lines.frustumCulled = false;
+
+        // Free-list as a stack; lowest indices on top so the draw range stays compact
+        this.freeList = new Int32Array(capacity);
+        for (let i = 0; i < capacity; i++) {
+            this.freeList[i] = capacity - 1 - i;
+        }
+        this.freeCount = capacity;
+        this.highWater = 0; // One past the highest segment index ever handed out
+        this.colorsDirty = false;
+    }
+
+    get used() {
+        return this.capacity - this.freeCount;
+    }
+
+    get available() {
+        return this.freeCount;
+    }
+
+    // Take `count` segments from the pool; returns their indices, or null if there isn't room
+    allocate(count) {
+        if (count > this.freeCount) return null;
+
+        const segments = new Array(count);
+        for (let i = 0; i < count; i++) {
+            const segment = this.freeList[--this.freeCount];
+            segments[i] = segment;
+            if (segment + 1 > this.highWater) this.highWater = segment + 1;
+        }
+
+        this.geometry.setDrawRange(0, this.highWater * 2);
+        return segments;
+    }
+
+    // Hand segments back; they are hidden immediately
+    release(segments) {
+        segments.forEach(segment => {
+            this.setAlpha(segment, 0);
+            this.freeList[this.freeCount++] = segment;
+        });
+
+        if (this.freeCount === this.capacity) {
+            this.highWater = 0;
+            this.geometry.setDrawRange(0, 0);
+        }
+        this.geometry.attributes.alpha.needsUpdate = true;
+    }
+
+    setSegment(segment, ax, ay, az, bx, by, bz) {
+        const o = segment * 6;
+        this.positions[o] = ax;
+        this.positions[o + 1] = ay;
+        this.positions[o + 2] = az;
+        this.positions[o + 3] = bx;
+        this.positions[o + 4] = by;
+        this.positions[o + 5] = bz;
+    }
+
+    // Colors of the two ends of a segment (normalized RGB)
+    setColor(segment, a, b) {
+        const o = segment * 6;
+        this.colors[o] = a.r;
+        this.colors[o + 1] = a.g;
+        this.colors[o + 2] = a.b;
+        this.colors[o + 3] = b.r;
+        this.colors[o + 4] = b.g;
+        this.colors[o + 5] = b.b;
+        this.colorsDirty = true;
+    }
+
+    setAlpha(segment, alpha) {
+        this.alphas[segment * 2] = alpha;
+        this.alphas[segment * 2 + 1] = alpha;
+    }
+
+    // Flag the buffers for upload after a frame's worth of changes
+    update() {
+        this.geometry.attributes.position.needsUpdate = true;
+        this.geometry.attributes.alpha.needsUpdate = true;
+        if (this.colorsDirty) {
+            this.geometry.attributes.color.needsUpdate = true;
+            this.colorsDirty = false;
+        }
+    }
+
+    dispose() {
+        if (this.lines.parent) this.lines.parent.remove(this.lines);
+        this.geometry.dispose();
+        this.material.dispose();
+    }
+}
+
+export default ConnectionPool;
@@ -0,0 +1,186 @@
+// Hover and click picking of points and connection segments, plus a small
+// info overlay that can be pinned to a point.
+//
+// Picking works in each object's local space (through its matrixWorld), so
+// the rotation that render() applies to the points and the connections is
+// taken into account. Points are tested at their current, animated position,
+// which the caller provides through `positionOf`. Only the points the caller's
+// `pointsNearRay` hands out are tested, where it can narrow them down.
+// three.js comes in as the `three` option.
+
+const POINT_PICK_RADIUS = 0.06; // World distance from the ray within which a point counts as hit
+const LINE_PICK_THRESHOLD = 0.04; // Same for connection segments
+const CLICK_SLOP = 4; // Pointer travel (px) up to which a press counts as a click rather than a drag
+
+class Picker {
+    constructor(camera, domElement, { three, points, lines, positionOf, pointsNearRay = null, isSegmentLive, onHover = null, onSelect = null }) {
+        this.three = three;
+        this.camera = camera;
+        this.domElement = domElement;
+        this.points = points;
+        this.lines = lines;
+        this.positionOf = positionOf; // (index, targetVector3) => current local position of point `index`
+        // (localRay, radius, visit) => calls visit(index) for every point that may be within `radius` of the ray;
+        // false when it can't tell, and every point is tested
+        this.pointsNearRay = pointsNearRay;
+        this.isSegmentLive = isSegmentLive; // (segment) => false for free / invisible pool segments
+        this.onHover = onHover;
+        this.onSelect = onSelect;
+
+        this.raycaster = new three.Raycaster();
+        this.raycaster.params.Line.threshold = LINE_PICK_THRESHOLD;
+        this.pressedAt = null;
+        this.hoverAt = null; // Latest pointer position waiting for a hover pick
+        this.pinnedPosition = null; // Local position (in `points` space) the overlay follows
+
+        this.overlay = document.createElement('div');
+        Object.assign(this.overlay.style, {
+            position: 'absolute',
+            display: 'none',
+            pointerEvents: 'none',
+            padding: '6px 8px',
+            font: '12px/1.4 monospace',
+            color: '#e6fffb',
+            background: 'rgba(0, 0, 0, 0.75)',
+            border: '1px solid rgba(255, 255, 255, 0.25)',
+            borderRadius: '3px',
+            whiteSpace: 'pre',
+            transform: 'translate(10px, -50%)'
+        });
+        (domElement.parentNode || document.body).appendChild(this.overlay);
+
+        this.onPointerMove = this.onPointerMove.bind(this);
+        this.onPointerDown = this.onPointerDown.bind(this);
+        this.onPointerUp = this.onPointerUp.bind(this);
+        domElement.addEventListener('pointermove', this.onPointerMove);
+        domElement.addEventListener('pointerdown', this.onPointerDown);
+        domElement.addEventListener('pointerup', this.onPointerUp);
+    }
+
+    dispose() {
+        this.domElement.removeEventListener('pointermove', this.onPointerMove);
+        this.domElement.removeEventListener('pointerdown', this.onPointerDown);
+        this.domElement.removeEventListener('pointerup', this.onPointerUp);
+        this.overlay.remove();
+    }
+
+    // What is under the given client coordinates:
+    // { type: 'segment', segment } or { type: 'point', index }, or null
+    pick(clientX, clientY) {
+        const t = this.three;
+        const rect = this.domElement.getBoundingClientRect();
+        const ndc = new t.Vector2(
+            ((clientX - rect.left) / rect.width) * 2 - 1,
+            -((clientY - rect.top) / rect.height) * 2 + 1
+        );
+        this.raycaster.setFromCamera(ndc, this.camera);
+
+        // Segments first: they are thin, so a hit on one is deliberate.
+        // Their endpoints move every frame, so the bounding sphere the raycast culls with has to be refreshed.
+        this.lines.geometry.computeBoundingSphere();
+        const segmentHit = this.raycaster.intersectObject(this.lines)
+            .find(hit => this.isSegmentLive(Math.floor(hit.index / 2)));
+        if (segmentHit) {
+            return { type: 'segment', segment: Math.floor(segmentHit.index / 2) };
+        }
+
+        const index = this.pickPoint();
+        return index >= 0 ? { type: 'point', index: index } : null;
+    }
+
+    // Closest point to the ray (within POINT_PICK_RADIUS), or -1
+    pickPoint() {
+        const inverse = this.points.matrixWorld.clone().invert();
+        const ray = this.raycaster.ray.clone().applyMatrix4(inverse);
+
+        // The radius is in world units; bring it into the points' local scale
+        const scale = this.points.matrixWorld.getMaxScaleOnAxis() || 1;
+        const radiusSq = Math.pow(POINT_PICK_RADIUS / scale, 2);
+
+        const count = this.points.geometry.drawRange.count === Infinity ?
+            this.points.geometry.attributes.position.count :
+            Math.min(this.points.geometry.drawRange.count, this.points.geometry.attributes.position.count);
+        const position = new this.three.Vector3();
+        let best = -1;
+        let bestDistSq = radiusSq;
+
+        const test = i => {
+            if (i >= count) return; // Not drawn at this quality tier
+            this.positionOf(i, position);
+            const distSq = ray.distanceSqToPoint(position);
+            // Ignore points behind the camera
+            if (distSq < bestDistSq && position.sub(ray.origin).dot(ray.direction) > 0) {
+                best = i;
+                bestDistSq = distSq;
+            }
+        };
+        if (!(this.pointsNearRay && this.pointsNearRay(ray, Math.sqrt(radiusSq), test))) {
+            for (let i = 0; i < count; i++) test(i);
+        }
+
+        return best;
+    }
+
+    // Show `text` next to a point (local position in `points` space) until unpin()
+    pin(text, localPosition) {
+        this.overlay.textContent = text;
+        this.overlay.style.display = 'block';
+        this.pinnedPosition = localPosition.clone();
+    }
+
+    setPinnedText(text) {
+        this.overlay.textContent = text;
+    }
+
+    setPinnedPosition(localPosition) {
+        if (this.pinnedPosition) this.pinnedPosition.copy(localPosition);
+    }
+
+    unpin() {
+        this.overlay.style.display = 'none';
+        this.pinnedPosition = null;
+    }
+
+    // Run the pending hover pick and keep the pinned overlay on its point as the scene rotates; call once per frame
+    update() {
+        if (this.hoverAt) {
+            const hoverAt = this.hoverAt;
+            this.hoverAt = null;
+            if (this.onHover) this.onHover(this.pick(hoverAt.x, hoverAt.y));
+        }
+
+        if (!this.pinnedPosition) return;
+
+        const projected = this.pinnedPosition.clone().applyMatrix4(this.points.matrixWorld).project(this.camera);
+        const visible = projected.z < 1 && Math.abs(projected.x) <= 1 && Math.abs(projected.y) <= 1;
+        this.overlay.style.visibility = visible ? 'visible' : 'hidden';
+
+        const rect = this.domElement.getBoundingClientRect();
+        const parentRect = this.overlay.parentNode.getBoundingClientRect();
+        this.overlay.style.left = `${rect.left - parentRect.left + (projected.x + 1) / 2 * rect.width}px`;
+        this.overlay.style.top = `${rect.top - parentRect.top + (1 - projected.y) / 2 * rect.height}px`;
+    }
+
+    // Hover picks are deferred to update(), so fast pointers cost at most one pick per frame
+    onPointerMove(event) {
+        if (event.buttons === 0) {
+            this.hoverAt = { x: event.clientX, y: event.clientY };
+        }
+    }
+
+    onPointerDown(event) {
+        this.pressedAt = { x: event.clientX, y: event.clientY };
+    }
+
+    onPointerUp(event) {
+        if (!this.pressedAt) return;
+
+        const moved = Math.hypot(event.clientX - this.pressedAt.x, event.clientY - this.pressedAt.y);
+        this.pressedAt = null;
+        if (moved <= CLICK_SLOP && this.onSelect) {
+            this.onSelect(this.pick(event.clientX, event.clientY));
+        }
+    }
+}
+
+export default Picker;
@@ -0,0 +1,119 @@
+// Picks a quality tier from measured frame times.
+//
+// Tiers are numbered from 0 (full quality) up to tierCount - 1 (cheapest); what a tier
+// means is up to the caller. Frame times are averaged over a rolling window. The
+// governor steps one tier down when the average stays above `slowFrameTime` for
+// `downDelay` seconds, and one tier up when it stays below `fastFrameTime` for
+// `upDelay` seconds. The gap between the two thresholds, the delays and a fresh
+// measurement after every change keep it from flapping; on top of that, a step up
+// that has to be taken back soon after makes the next step up wait twice as long.
+//
+// Tier changes are dispatched as 'change' events: event.detail = { tier, previous, frameTime }.
+
+const MAX_FRAME_TIME = 250; // ms; longer gaps (tab in the background, debugger) aren't frames
+const MAX_UP_BACKOFF = 8; // Longest step-up wait, in multiples of upDelay
+
+class QualityGovernor extends EventTarget {
+    constructor(tierCount, {
+        slowFrameTime = 1000 / 45, // ms
+        fastFrameTime = 1000 / 55, // ms; at 60 Hz frames never come faster than ~16.7 ms
+        sampleCount = 60, // Frames in the rolling average
+        downDelay = 1, // s
+        upDelay = 5, // s
+        retryWindow = 10 // s; a step down this soon after a step up counts as a failed step up
+    } = {}) {
+        super();
+        this.tierCount = tierCount;
+        this.slowFrameTime = slowFrameTime;
+        this.fastFrameTime = fastFrameTime;
+        this.downDelay = downDelay;
+        this.upDelay = upDelay;
+        this.retryWindow = retryWindow;
+
+        this.samples = new Float32Array(sampleCount);
+        this.tier = 0;
+        this.upBackoff = 1;
+        this.reset();
+    }
+
+    // Change the frame time thresholds (ms); measurements so far are kept, time spent past the old ones isn't
+    setThresholds({ slowFrameTime = this.slowFrameTime, fastFrameTime = this.fastFrameTime }) {
+        this.slowFrameTime = slowFrameTime;
+        this.fastFrameTime = fastFrameTime;
+        this.slowTime = 0;
+        this.fastTime = 0;
+    }
+
+    // Back to full quality, forgetting all measurements
+    reset() {
+        this.upBackoff = 1;
+        this.setTier(0);
+    }
+
+    // Report the duration of the last frame, in seconds
+    sample(dt) {
+        const ms = dt * 1000;
+        if (!(ms > 0) || ms > MAX_FRAME_TIME) return;
+
+        this.sinceChange += dt;
+        this.samples[this.sampleIndex] = ms;
+        this.sampleIndex = (this.sampleIndex + 1) % this.samples.length;
+        this.sampleTotal = Math.min(this.sampleTotal + 1, this.samples.length);
+        if (this.sampleTotal < this.samples.length) return; // Not enough frames at this tier yet
+
+        const average = this.averageFrameTime();
+        if (average > this.slowFrameTime) {
+            this.fastTime = 0;
+            this.slowTime += dt;
+            if (this.slowTime >= this.downDelay && this.tier < this.tierCount - 1) {
+                // Going straight back down after a step up: wait longer before the next one
+                if (this.steppedUp && this.sinceChange < this.retryWindow) {
+                    this.upBackoff = Math.min(this.upBackoff * 2, MAX_UP_BACKOFF);
+                }
+                this.setTier(this.tier + 1);
+            }
+        } else if (average < this.fastFrameTime) {
+            this.slowTime = 0;
+            this.fastTime += dt;
+            if (this.fastTime >= this.upDelay * this.upBackoff && this.tier > 0) {
+                this.setTier(this.tier - 1);
+                this.steppedUp = true;
+            }
+        } else {
+            this.slowTime = 0;
+            this.fastTime = 0;
+        }
+
+        // A step up that has held for a while was a success
+        if (this.steppedUp && this.sinceChange >= this.retryWindow) {
+            this.steppedUp = false;
+            this.upBackoff = 1;
+        }
+    }
+
+    averageFrameTime() {
+        if (this.sampleTotal === 0) return 0;
+        let sum = 0;
+        for (let i = 0; i < this.sampleTotal; i++) sum += this.samples[i];
+        return sum / this.sampleTotal;
+    }
+
+    setTier(tier) {
+        const previous = this.tier;
+        const frameTime = this.averageFrameTime();
+
+        this.tier = Math.max(0, Math.min(this.tierCount - 1, tier));
+        this.sampleIndex = 0;
+        this.sampleTotal = 0;
+        this.slowTime = 0;
+        this.fastTime = 0;
+        this.sinceChange = 0;
+        this.steppedUp = false;
+
+        if (this.tier !== previous) {
+            this.dispatchEvent(new CustomEvent('change', { detail: { tier: this.tier, previous: previous, frameTime: frameTime } }));
+        }
+    }
+}
+
+export default QualityGovernor;
@@ -0,0 +1,193 @@
+// In-page panel for editing the scene settings at runtime.
+// The panel is built from a list of field descriptors:
+//   { key, label, type: 'number' | 'integer' | 'color' | 'checkbox' | 'select', min, max, step, options }
+// Select fields list their choices as options: [{ value, label }], read again each time the panel opens.
+// Colors are edited as '#rrggbb' but reported as numbers (0xrrggbb), like CONFIG stores them.
+// Number fields report when committed (enter / blur), everything else immediately.
+
+function toHexString(value) {
+    return '#' + value.toString(16).padStart(6, '0');
+}
+
+// A valid value for `field`, clamped into its range, or null; also used to check saved settings
+export function sanitizeValue(field, value) {
+    if (field.type === 'checkbox') {
+        return typeof value === 'boolean' ? value : null;
+    }
+    if (field.type === 'select') {
+        return field.options.some(option => option.value === value) ? value : null;
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value)) return null;
+    if (field.type === 'color') {
+        return value >= 0 && value <= 0xffffff ? Math.round(value) : null;
+    }
+
+    if (field.type === 'integer') value = Math.round(value);
+    if (field.min !== undefined) value = Math.max(field.min, value);
+    if (field.max !== undefined) value = Math.min(field.max, value);
+    return value;
+}
+
+class SettingsPanel {
+    constructor(container, fields, { values, onChange, onSave = null, onReset = null }) {
+        this.fields = fields;
+        this.onChange = onChange;
+        this.inputs = {};
+
+        this.element = document.createElement('div');
+        Object.assign(this.element.style, {
+            position: 'absolute',
+            top: '10px',
+            right: '10px',
+            display: 'none',
+            width: '260px',
+            maxHeight: 'calc(100% - 20px)',
+            overflowY: 'auto',
+            padding: '10px',
+            font: '12px/1.4 sans-serif',
+            color: '#e6fffb',
+            background: 'rgba(0, 0, 0, 0.8)',
+            border: '1px solid rgba(255, 255, 255, 0.25)',
+            borderRadius: '4px',
+            zIndex: 10
+        });
+
+        // Small always-visible button, for devices without a keyboard
+        this.toggleButton = document.createElement('button');
+        this.toggleButton.textContent = '⚙';
+        this.toggleButton.title = 'Settings (S)';
+        Object.assign(this.toggleButton.style, {
+            position: 'absolute',
+            top: '10px',
+            right: '10px',
+            zIndex: 9,
+            opacity: 0.4,
+            font: '16px sans-serif',
+            background: 'transparent',
+            color: '#fff',
+            border: 'none',
+            cursor: 'pointer'
+        });
+        this.toggleButton.addEventListener('click', () => this.toggle());
+
+        fields.forEach(field => this.element.appendChild(this.createRow(field)));
+
+        const buttons = document.createElement('div');
+        buttons.style.marginTop = '8px';
+        this.status = document.createElement('span');
+        this.status.style.marginLeft = '6px';
+        [
+            ['Save', onSave],
+            ['Reset', onReset],
+            ['Close', () => this.hide()]
+        ].forEach(([label, action]) => {
+            if (!action) return;
+            const button = document.createElement('button');
+            button.textContent = label;
+            button.style.marginRight = '4px';
+            button.addEventListener('click', action);
+            buttons.appendChild(button);
+        });
+        buttons.appendChild(this.status);
+        this.element.appendChild(buttons);
+
+        container.appendChild(this.toggleButton);
+        container.appendChild(this.element);
+        this.setValues(values);
+    }
+
+    createRow(field) {
+        const row = document.createElement('label');
+        Object.assign(row.style, { display: 'flex', alignItems: 'center', justifyContent: 'space-between', margin: '3px 0' });
+        row.textContent = field.label;
+
+        const input = document.createElement(field.type === 'select' ? 'select' : 'input');
+        input.style.width = { color: 'auto', checkbox: 'auto', select: '120px' }[field.type] || '90px';
+
+        if (field.type === 'select') {
+            this.fillOptions(input, field);
+            input.addEventListener('change', () => this.onChange(field.key, input.value));
+        } else if (field.type === 'color') {
+            input.type = 'color';
+            input.addEventListener('input', () => this.onChange(field.key, parseInt(input.value.slice(1), 16)));
+        } else if (field.type === 'checkbox') {
+            input.type = 'checkbox';
+            input.addEventListener('change', () => this.onChange(field.key, input.checked));
+        } else {
+            input.type = 'number';
+            if (field.min !== undefined) input.min = field.min;
+            if (field.max !== undefined) input.max = field.max;
+            input.step = field.step || (field.type === 'integer' ? 1 : 'any');
+            input.addEventListener('change', () => {
+                const value = sanitizeValue(field, input.value === '' ? NaN : Number(input.value));
+                if (value === null) {
+                    // Put the last valid value back
+                    input.value = this.values[field.key];
+                    return;
+                }
+                input.value = value;
+                this.values[field.key] = value;
+                this.onChange(field.key, value);
+            });
+        }
+
+        this.inputs[field.key] = input;
+        row.appendChild(input);
+        return row;
+    }
+
+    // (Re)list the choices of a select field, keeping the selected value
+    fillOptions(input, field) {
+        const selected = input.value;
+        input.textContent = '';
+        field.options.forEach(option => {
+            const element = document.createElement('option');
+            element.value = option.value;
+            element.textContent = option.label;
+            input.appendChild(element);
+        });
+        input.value = selected;
+    }
+
+    setValues(values) {
+        this.values = Object.assign({}, values);
+        this.fields.forEach(field => {
+            const input = this.inputs[field.key];
+            const value = values[field.key];
+            if (field.type === 'color') input.value = toHexString(value);
+            else if (field.type === 'checkbox') input.checked = !!value;
+            else input.value = value;
+        });
+    }
+
+    setStatus(text) {
+        this.status.textContent = text;
+    }
+
+    get visible() {
+        return this.element.style.display !== 'none';
+    }
+
+    show() {
+        // Choices may have been added since (themes registered later)
+        this.fields.filter(field => field.type === 'select').forEach(field => this.fillOptions(this.inputs[field.key], field));
+        this.element.style.display = 'block';
+        this.toggleButton.style.display = 'none';
+    }
+
+    hide() {
+        this.element.style.display = 'none';
+        this.toggleButton.style.display = '';
+    }
+
+    toggle() {
+        this.visible ? this.hide() : this.show();
+    }
+
+    dispose() {
+        this.element.remove();
+        this.toggleButton.remove();
+    }
+}
+
+export default SettingsPanel;
@@ -0,0 +1,170 @@
+// Uniform grid over a flat [x, y, z, x, y, z, ...] position array for fast
+// nearest-neighbour queries. Points are bucketed once (counting sort by cell),
+// queries then walk outwards shell by shell and stop as soon as no closer
+// point can exist.
+
+const MAX_CELLS = 1 << 21; // Upper bound on the number of grid cells (memory guard for sparse data)
+
+class SpatialGrid {
+    constructor(positions, cellSize) {
+        this.positions = positions;
+        this.count = Math.floor(positions.length / 3);
+
+        // Bounding box of the data
+        const min = [Infinity, Infinity, Infinity];
+        const max = [-Infinity, -Infinity, -Infinity];
+        for (let i = 0; i < this.count; i++) {
+            for (let a = 0; a < 3; a++) {
+                const v = positions[i * 3 + a];
+                if (v < min[a]) min[a] = v;
+                if (v > max[a]) max[a] = v;
+            }
+        }
+        if (this.count === 0) {
+            min.fill(0);
+            max.fill(0);
+        }
+
+        // Grow the cells if the requested size would need an unreasonable number of them
+        const extent = max.map((v, a) => v - min[a]);
+        let size = cellSize;
+        const cellsFor = s => extent.reduce((n, e) => n * (Math.floor(e / s) + 1), 1);
+        while (cellsFor(size) > MAX_CELLS) size *= 1.25;
+
+        this.cellSize = size;
+        this.min = min;
+        this.max = max;
+        this.dims = extent.map(e => Math.floor(e / size) + 1);
+        const numCells = this.dims[0] * this.dims[1] * this.dims[2];
+
+        // Counting sort of point indices by cell
+        const cellOfPoint = new Int32Array(this.count);
+        this.cellStart = new Int32Array(numCells + 1);
+        for (let i = 0; i < this.count; i++) {
+            const cell = this.cellIndex(
+                this.cellCoord(positions[i * 3], 0),
+                this.cellCoord(positions[i * 3 + 1], 1),
+                this.cellCoord(positions[i * 3 + 2], 2)
+            );
+            cellOfPoint[i] = cell;
+            this.cellStart[cell + 1]++;
+        }
+        for (let c = 0; c < numCells; c++) {
+            this.cellStart[c + 1] += this.cellStart[c];
+        }
+
+        const fill = this.cellStart.slice(0, numCells);
+        this.sortedIndices = new Int32Array(this.count);
+        for (let i = 0; i < this.count; i++) {
+            this.sortedIndices[fill[cellOfPoint[i]]++] = i;
+        }
+    }
+
+    cellCoord(value, axis) {
+        const c = Math.floor((value - this.min[axis]) / this.cellSize);
+        return Math.max(0, Math.min(this.dims[axis] - 1, c));
+    }
+
+    cellIndex(cx, cy, cz) {
+        return (cz * this.dims[1] + cy) * this.dims[0] + cx;
+    }
+
+    // Up to k nearest points to (x, y, z) within maxDistance, closest first, as [{ index, dist }].
+    // `accept(index)` can reject candidates (the query point itself, points that are already full, ...).
+    nearest(x, y, z, k, maxDistance, accept = null) {
+        const found = [];
+        if (k <= 0 || this.count === 0) return found;
+
+        const positions = this.positions;
+        const cx = this.cellCoord(x, 0);
+        const cy = this.cellCoord(y, 1);
+        const cz = this.cellCoord(z, 2);
+        const maxRing = Math.ceil(maxDistance / this.cellSize);
+        const maxDistSq = maxDistance * maxDistance;
+
+        const consider = index => {
+            if (accept && !accept(index)) return;
+
+            const dx = positions[index * 3] - x;
+            const dy = positions[index * 3 + 1] - y;
+            const dz = positions[index * 3 + 2] - z;
+            const distSq = dx * dx + dy * dy + dz * dz;
+            if (distSq >= maxDistSq) return;
+            if (found.length === k && distSq >= found[k - 1].distSq) return;
+
+            // Insertion into the small sorted result list
+            let at = found.length < k ? found.length : k - 1;
+            while (at > 0 && found[at - 1].distSq > distSq) {
+                if (at < k) found[at] = found[at - 1];
+                at--;
+            }
+            found[at] = { index: index, distSq: distSq };
+        };
+
+        for (let ring = 0; ring <= maxRing; ring++) {
+            // Visit only the cells on the surface of the cube of cells `ring` steps away
+            for (let gz = cz - ring; gz <= cz + ring; gz++) {
+                if (gz < 0 || gz >= this.dims[2]) continue;
+                for (let gy = cy - ring; gy <= cy + ring; gy++) {
+                    if (gy < 0 || gy >= this.dims[1]) continue;
+                    const onFace = gz === cz - ring || gz === cz + ring || gy === cy - ring || gy === cy + ring;
+                    const step = onFace || ring === 0 ? 1 : ring * 2;
+                    for (let gx = cx - ring; gx <= cx + ring; gx += step) {
+                        if (gx < 0 || gx >= this.dims[0]) continue;
+
+                        const cell = this.cellIndex(gx, gy, gz);
+                        for (let s = this.cellStart[cell]; s < this.cellStart[cell + 1]; s++) {
+                            consider(this.sortedIndices[s]);
+                        }
+                    }
+                }
+            }
+
+            // Anything in the next ring is at least `ring` cells away
+            if (found.length === k) {
+                const reach = ring * this.cellSize;
+                if (found[k - 1].distSq <= reach * reach) break;
+            }
+        }
+
+        return found.map(f => ({ index: f.index, dist: Math.sqrt(f.distSq) }));
+    }
+
+    // Calls visit(index) once for every point in the cells that come within `radius` of any of the
+    // segments ([[ax, ay, az], [bx, by, bz]] pairs), and for some more points close by. The segments are
+    // walked in steps of one cell; the caller tests the points it is given.
+    forEachNearSegments(segments, radius, visit) {
+        if (this.count === 0) return;
+        if (!this.visited) this.visited = new Uint32Array(this.cellStart.length - 1);
+        const stamp = this.visitStamp = (this.visitStamp || 0) + 1; // Marks the cells of this query
+        const reach = radius + this.cellSize / 2; // From the nearest sample on a segment
+        const low = [0, 0, 0];
+        const high = [0, 0, 0];
+
+        segments.forEach(([a, b]) => {
+            const length = Math.hypot(b[0] - a[0], b[1] - a[1], b[2] - a[2]);
+            const steps = Math.max(1, Math.ceil(length / this.cellSize));
+            for (let i = 0; i <= steps; i++) {
+                for (let axis = 0; axis < 3; axis++) {
+                    const value = a[axis] + (b[axis] - a[axis]) * i / steps;
+                    low[axis] = this.cellCoord(value - reach, axis);
+                    high[axis] = this.cellCoord(value + reach, axis);
+                }
+                for (let gz = low[2]; gz <= high[2]; gz++) {
+                    for (let gy = low[1]; gy <= high[1]; gy++) {
+                        for (let gx = low[0]; gx <= high[0]; gx++) {
+                            const cell = this.cellIndex(gx, gy, gz);
+                            if (this.visited[cell] === stamp) continue;
+                            this.visited[cell] = stamp;
+                            for (let s = this.cellStart[cell]; s < this.cellStart[cell + 1]; s++) {
+                                visit(this.sortedIndices[s]);
+                            }
+                        }
+                    }
+                }
+            }
+        });
+    }
+}
+
+export default SpatialGrid;
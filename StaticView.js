@@ -0,0 +1,92 @@
+// Still picture of the point cloud on a 2D canvas, for browsers where WebGL is unavailable
+// (blocked, no GPU, too many contexts), with a message saying why it doesn't move.
+//
+// The points are projected like the galaxy's home view (perspective camera on the z axis looking
+// at the center) and plotted one pixel each, added up for additive themes so dense regions glow.
+
+class StaticView {
+    constructor(container, { fov = 60, distance = 12 } = {}) {
+        this.container = container;
+        this.fov = fov;
+        this.distance = distance;
+        this.picture = null; // Last draw() arguments, drawn again on resize()
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.style.display = 'block';
+        container.appendChild(this.canvas);
+        this.context = this.canvas.getContext('2d');
+
+        this.message = document.createElement('div');
+        Object.assign(this.message.style, {
+            position: 'absolute',
+            left: '50%',
+            bottom: '20px',
+            transform: 'translateX(-50%)',
+            maxWidth: '80%',
+            padding: '6px 10px',
+            font: '12px/1.4 sans-serif',
+            color: '#e6fffb',
+            background: 'rgba(0, 0, 0, 0.8)',
+            border: '1px solid rgba(255, 255, 255, 0.25)',
+            borderRadius: '3px',
+            pointerEvents: 'none'
+        });
+        container.appendChild(this.message);
+    }
+
+    setMessage(text) {
+        this.message.textContent = text;
+    }
+
+    // Plot `positions` ([x, y, z, ...]) in `colors` ([r, g, b, ...], 0 to 1) over `background` ({ r, g, b }),
+    // adding up overlapping points when `additive`
+    draw({ positions, colors, background, additive }) {
+        this.picture = { positions: positions, colors: colors, background: background, additive: additive };
+
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        if (!this.context || width === 0 || height === 0) return;
+        const image = this.context.createImageData(width, height);
+        const pixels = image.data;
+        for (let p = 0; p < pixels.length; p += 4) {
+            pixels[p] = background.r * 255;
+            pixels[p + 1] = background.g * 255;
+            pixels[p + 2] = background.b * 255;
+            pixels[p + 3] = 255;
+        }
+
+        const focal = height / 2 / Math.tan(this.fov * Math.PI / 360);
+        for (let i = 0; i < positions.length / 3; i++) {
+            const depth = this.distance - positions[i * 3 + 2];
+            if (depth <= 0) continue; // Behind the camera
+            const x = Math.round(width / 2 + positions[i * 3] * focal / depth);
+            const y = Math.round(height / 2 - positions[i * 3 + 1] * focal / depth);
+            if (x < 0 || y < 0 || x >= width || y >= height) continue;
+
+            const p = (y * width + x) * 4;
+            for (let c = 0; c < 3; c++) {
+                pixels[p + c] = additive ? pixels[p + c] + colors[i * 3 + c] * 255 : colors[i * 3 + c] * 255;
+            }
+        }
+        this.context.putImageData(image, 0, 0);
+    }
+
+    // Follow the container's size (in device pixels) and draw the last picture again
+    resize(pixelRatio = window.devicePixelRatio || 1) {
+        const width = Math.max(1, this.container.clientWidth);
+        const height = Math.max(1, this.container.clientHeight);
+        this.canvas.width = Math.round(width * pixelRatio);
+        this.canvas.height = Math.round(height * pixelRatio);
+        this.canvas.style.width = `${width}px`;
+        this.canvas.style.height = `${height}px`;
+        if (this.picture) this.draw(this.picture);
+    }
+
+    dispose() {
+        this.canvas.remove();
+        this.message.remove();
+        this.picture = null;
+    }
+}
+
+export default StaticView;
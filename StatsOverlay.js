@@ -0,0 +1,163 @@
+// On-screen diagnostics: a text readout of the scene's stats and sparklines of their history.
+//
+// The overlay doesn't measure anything itself; it samples a getStats() callback (see getStats()
+// in galaxy.js for the shape of the stats) every `interval` seconds, whether it is shown or not,
+// so the history is there when it is opened.
+
+const HISTORY_LENGTH = 120; // Samples kept for the sparklines (30 s at the default interval)
+const SPARKLINE_WIDTH = 240;
+const SPARKLINE_HEIGHT = 36;
+
+// Rolling window of frame times (ms) with percentiles over it
+export class FrameTimes {
+    constructor(length = 300) {
+        this.samples = new Float32Array(length);
+        this.index = 0;
+        this.count = 0;
+    }
+
+    add(ms) {
+        this.samples[this.index] = ms;
+        this.index = (this.index + 1) % this.samples.length;
+        this.count = Math.min(this.count + 1, this.samples.length);
+    }
+
+    // { p50, p90, p99, max, samples }, all in ms (0 before the first frame)
+    percentiles() {
+        const sorted = this.samples.slice(0, this.count).sort();
+        const at = p => sorted.length ? sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))] : 0;
+        return { p50: at(0.5), p90: at(0.9), p99: at(0.99), max: at(1), samples: this.count };
+    }
+}
+
+class StatsOverlay {
+    constructor(container, { getStats, interval = 0.25 }) {
+        this.getStats = getStats;
+        this.interval = interval;
+        this.elapsed = 0;
+        this.history = { frameTime: [], hubs: [], target: [] };
+
+        this.element = document.createElement('div');
+        Object.assign(this.element.style, {
+            position: 'absolute',
+            top: '10px',
+            left: '10px',
+            display: 'none',
+            padding: '6px 8px',
+            font: '11px/1.35 monospace',
+            color: '#e6fffb',
+            background: 'rgba(0, 0, 0, 0.8)',
+            border: '1px solid rgba(255, 255, 255, 0.25)',
+            borderRadius: '4px',
+            pointerEvents: 'none',
+            zIndex: 10
+        });
+
+        this.text = document.createElement('pre');
+        this.text.style.margin = '0 0 4px';
+        this.element.appendChild(this.text);
+
+        this.canvases = {};
+        [
+            ['frameTime', 'frame time (p50, ms)'],
+            ['hubs', 'live hubs / target']
+        ].forEach(([key, label]) => {
+            const caption = document.createElement('div');
+            caption.textContent = label;
+            const canvas = document.createElement('canvas');
+            canvas.width = SPARKLINE_WIDTH;
+            canvas.height = SPARKLINE_HEIGHT;
+            canvas.style.display = 'block';
+            this.element.appendChild(caption);
+            this.element.appendChild(canvas);
+            this.canvases[key] = canvas;
+        });
+
+        container.appendChild(this.element);
+    }
+
+    // Call once per frame with the frame's duration in seconds
+    update(dt) {
+        this.elapsed += dt;
+        if (this.elapsed < this.interval) return;
+        this.elapsed = 0;
+
+        const stats = this.getStats();
+        this.record('frameTime', stats.frameTime.p50);
+        this.record('hubs', stats.hubs.total);
+        this.record('target', stats.hubs.target);
+        if (this.visible) this.draw(stats);
+    }
+
+    record(key, value) {
+        const values = this.history[key];
+        values.push(value);
+        if (values.length > HISTORY_LENGTH) values.shift();
+    }
+
+    draw(stats) {
+        const { hubs, frameTime, render, scene, audio } = stats;
+        const lines = [
+            `hubs      ${hubs.active} active, ${hubs.fadingIn} in, ${hubs.fadingOut} out, ${hubs.pendingRemoval} pending`,
+            `          ${hubs.total} / ${hubs.target} target, ${hubs.created} created (${stats.topology})`,
+            `segments  ${stats.segments.used} / ${stats.segments.capacity}, window links ${stats.windowLinks}`,
+            `points    ${stats.points.drawn} / ${stats.points.count} drawn, quality tier ${stats.quality.tier}, seed ${stats.seed}`,
+            `scene     ${scene.objects} objects, ${scene.geometries} geometries, ${scene.textures} textures`,
+            `render    ${render.calls} calls, ${render.points} points, ${render.lines} lines, ${render.triangles} triangles`,
+            `frame ms  p50 ${frameTime.p50.toFixed(1)}  p90 ${frameTime.p90.toFixed(1)}  p99 ${frameTime.p99.toFixed(1)}  max ${frameTime.max.toFixed(1)}`
+        ];
+        if (audio) {
+            const levels = Object.entries(audio.levels).map(([band, level]) => `${band} ${level.toFixed(2)}`);
+            lines.push(`audio     ${audio.source}: ${levels.join(', ')}`);
+        }
+        this.text.textContent = lines.join('\n');
+
+        this.drawSparkline(this.canvases.frameTime, [[this.history.frameTime, '#2dd4bf']]);
+        this.drawSparkline(this.canvases.hubs, [[this.history.target, '#64748b'], [this.history.hubs, '#e879f9']]);
+    }
+
+    // Lines of [values, color] on a shared scale from 0 to the largest value
+    drawSparkline(canvas, lines) {
+        const context = canvas.getContext('2d');
+        const max = Math.max(1, ...lines.map(([values]) => Math.max(0, ...values)));
+        const stepX = canvas.width / (HISTORY_LENGTH - 1);
+
+        context.clearRect(0, 0, canvas.width, canvas.height);
+        context.lineWidth = 1;
+        lines.forEach(([values, color]) => {
+            context.strokeStyle = color;
+            context.beginPath();
+            values.forEach((value, i) => {
+                const x = (HISTORY_LENGTH - values.length + i) * stepX;
+                const y = canvas.height - 1 - value / max * (canvas.height - 2);
+                i === 0 ? context.moveTo(x, y) : context.lineTo(x, y);
+            });
+            context.stroke();
+        });
+        context.fillStyle = '#e6fffb';
+        context.fillText(max.toFixed(max < 10 ? 1 : 0), 2, 10);
+    }
+
+    get visible() {
+        return this.element.style.display !== 'none';
+    }
+
+    show() {
+        this.element.style.display = 'block';
+        this.draw(this.getStats());
+    }
+
+    hide() {
+        this.element.style.display = 'none';
+    }
+
+    toggle() {
+        this.visible ? this.hide() : this.show();
+    }
+
+    dispose() {
+        this.element.remove();
+    }
+}
+
+export default StatsOverlay;
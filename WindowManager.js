@@ -0,0 +1,156 @@
+// Shared registry of every open window of the app.
+// Each window writes its own entry (screen position, size and a heartbeat
+// timestamp) into localStorage; the other windows pick the change up through
+// the 'storage' event. Entries that stop sending heartbeats (crashed or killed
+// windows that never got to deregister) are pruned by whoever notices first.
+
+const STORAGE_KEY = 'multipleWindow3dScene.windows';
+const HEARTBEAT_INTERVAL = 1000; // How often this window refreshes its entry (ms)
+const STALE_TIMEOUT = 5000; // Entries not refreshed for this long are considered dead (ms)
+
+function createWindowId() {
+    const bytes = new Uint8Array(8);
+    crypto.getRandomValues(bytes);
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Screen-space shape of the current window's viewport
+function getCurrentShape() {
+    return {
+        x: window.screenX,
+        y: window.screenY,
+        w: window.innerWidth,
+        h: window.innerHeight
+    };
+}
+
+function shapesEqual(a, b) {
+    return a.x === b.x && a.y === b.y && a.w === b.w && a.h === b.h;
+}
+
+class WindowManager {
+    #id = null;
+    #shape = null;
+    #windows = [];
+    #heartbeatTimer = null;
+    #onWindowsChange = null;
+    #onShapeChange = null;
+
+    constructor() {
+        this.onStorage = this.onStorage.bind(this);
+        this.dispose = this.dispose.bind(this);
+    }
+
+    // Register this window and start sending heartbeats
+    init(metaData = {}) {
+        this.#id = createWindowId();
+        this.#shape = getCurrentShape();
+
+        window.addEventListener('storage', this.onStorage);
+        window.addEventListener('pagehide', this.dispose);
+
+        this.#writeOwnEntry(metaData);
+        this.#heartbeatTimer = setInterval(() => this.#heartbeat(), HEARTBEAT_INTERVAL);
+    }
+
+    // Called every frame - there is no event for a window being moved,
+    // so the shape has to be polled
+    update() {
+        if (!this.#id) return;
+
+        const shape = getCurrentShape();
+        if (shapesEqual(shape, this.#shape)) return;
+
+        this.#shape = shape;
+        this.#writeOwnEntry();
+        if (this.#onShapeChange) this.#onShapeChange(shape);
+    }
+
+    // Deregister this window and stop all timers and listeners
+    dispose() {
+        if (!this.#id) return;
+
+        clearInterval(this.#heartbeatTimer);
+        window.removeEventListener('storage', this.onStorage);
+        window.removeEventListener('pagehide', this.dispose);
+
+        const windows = this.#read().filter(w => w.id !== this.#id);
+        this.#write(windows);
+        this.#id = null;
+    }
+
+    onStorage(event) {
+        if (event.key !== STORAGE_KEY) return;
+        this.#setWindows(this.#read());
+    }
+
+    setWindowsChangeCallback(callback) {
+        this.#onWindowsChange = callback;
+    }
+
+    setShapeChangeCallback(callback) {
+        this.#onShapeChange = callback;
+    }
+
+    getWindows() {
+        return this.#windows;
+    }
+
+    getThisWindowId() {
+        return this.#id;
+    }
+
+    getThisWindowShape() {
+        return this.#shape;
+    }
+
+    #heartbeat() {
+        this.#writeOwnEntry();
+    }
+
+    // Refresh our own entry, dropping any stale ones along the way
+    #writeOwnEntry(metaData) {
+        const now = Date.now();
+        const windows = this.#read().filter(w => w.id !== this.#id && now - w.lastSeen < STALE_TIMEOUT);
+        const previous = this.#windows.find(w => w.id === this.#id);
+
+        windows.push({
+            id: this.#id,
+            shape: this.#shape,
+            metaData: metaData || (previous ? previous.metaData : {}),
+            lastSeen: now
+        });
+        windows.sort((a, b) => a.id.localeCompare(b.id));
+
+        this.#write(windows);
+        this.#setWindows(windows);
+    }
+
+    #setWindows(windows) {
+        // Entries written by other windows carry their own heartbeat;
+        // ignore the ones that have gone quiet even before they're pruned
+        const now = Date.now();
+        const live = windows.filter(w => w.id === this.#id || now - w.lastSeen < STALE_TIMEOUT);
+
+        const changed = live.length !== this.#windows.length ||
+            live.some((w, i) => w.id !== this.#windows[i].id || !shapesEqual(w.shape, this.#windows[i].shape));
+
+        this.#windows = live;
+        if (changed && this.#onWindowsChange) this.#onWindowsChange(live);
+    }
+
+    #read() {
+        try {
+            const windows = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            return Array.isArray(windows) ? windows : [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    #write(windows) {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(windows));
+    }
+}
+
+export default WindowManager;
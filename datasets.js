@@ -0,0 +1,336 @@
+// Loaders for external point datasets: CSV (or TSV / whitespace separated), ASCII and
+// binary PLY, and JSON.
+//
+// Every format is first read into a table of named numeric columns; the points are then
+// taken from it:
+//   positions - the x, y and z columns (for CSV without a header and JSON arrays of
+//               arrays: the first three columns)
+//   colors    - the red, green and blue (or r, g, b) columns if the file has them,
+//               as 0-255 integers or 0-1 floats
+//   values    - the `colorColumn` chosen by the caller, rescaled to 0-1, for coloring
+//               the points along a gradient
+//
+// Malformed input throws an Error that says what is wrong and where.
+
+const PLY_TYPES = {
+    char: 'Int8', int8: 'Int8',
+    uchar: 'Uint8', uint8: 'Uint8',
+    short: 'Int16', int16: 'Int16',
+    ushort: 'Uint16', uint16: 'Uint16',
+    int: 'Int32', int32: 'Int32',
+    uint: 'Uint32', uint32: 'Uint32',
+    float: 'Float32', float32: 'Float32',
+    double: 'Float64', float64: 'Float64'
+};
+const PLY_TYPE_SIZES = { Int8: 1, Uint8: 1, Int16: 2, Uint16: 2, Int32: 4, Uint32: 4, Float32: 4, Float64: 8 };
+
+const COLOR_COLUMNS = [['red', 'green', 'blue'], ['r', 'g', 'b']];
+
+// Table of equally long numeric columns
+function createTable(names) {
+    return { names: names, columns: names.map(() => []) };
+}
+
+function findColumn(table, name) {
+    const lower = String(name).toLowerCase();
+    return table.names.findIndex(n => n.toLowerCase() === lower);
+}
+
+// Split one CSV line, honouring double quotes around fields
+function splitCsvLine(line, delimiter) {
+    if (delimiter === null) return line.trim().split(/\s+/);
+
+    const fields = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const c = line[i];
+        if (quoted) {
+            if (c === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (c === '"') {
+                quoted = false;
+            } else {
+                field += c;
+            }
+        } else if (c === '"') {
+            quoted = true;
+        } else if (c === delimiter) {
+            fields.push(field.trim());
+            field = '';
+        } else {
+            field += c;
+        }
+    }
+    fields.push(field.trim());
+    return fields;
+}
+
+export function parseCsv(text) {
+    const lines = text.split(/\r?\n/);
+    const rows = [];
+    lines.forEach((line, i) => {
+        if (line.trim() !== '' && !line.trimStart().startsWith('#')) rows.push({ line: line, number: i + 1 });
+    });
+    if (rows.length === 0) throw new Error('CSV file has no rows');
+
+    // Comma, semicolon or tab, whichever the first row uses; otherwise whitespace
+    const delimiter = [',', ';', '\t'].find(d => rows[0].line.includes(d)) || null;
+
+    // A first row with anything that isn't a number is the header
+    const first = splitCsvLine(rows[0].line, delimiter);
+    const hasHeader = first.some(field => field === '' || !Number.isFinite(Number(field)));
+    const names = hasHeader ? first : first.map((field, i) => ['x', 'y', 'z'][i] || String(i));
+    const table = createTable(names);
+
+    rows.slice(hasHeader ? 1 : 0).forEach(row => {
+        const fields = splitCsvLine(row.line, delimiter);
+        if (fields.length !== names.length) {
+            throw new Error(`CSV line ${row.number}: expected ${names.length} fields, found ${fields.length}`);
+        }
+        fields.forEach((field, c) => {
+            const value = Number(field);
+            if (field === '' || !Number.isFinite(value)) {
+                throw new Error(`CSV line ${row.number}, column "${names[c]}": "${field}" is not a number`);
+            }
+            table.columns[c].push(value);
+        });
+    });
+    return table;
+}
+
+// Accepts [[x, y, z, ...], ...], [{ x, y, z, ... }, ...] or either wrapped as { points: [...] }
+export function parseJson(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`JSON file is not valid JSON (${error.message})`);
+    }
+    if (data && !Array.isArray(data) && Array.isArray(data.points)) data = data.points;
+    if (!Array.isArray(data) || data.length === 0) {
+        throw new Error('JSON file must hold a non-empty array of points (or { "points": [...] })');
+    }
+
+    let table;
+    if (Array.isArray(data[0])) {
+        table = createTable(data[0].map((value, i) => ['x', 'y', 'z'][i] || String(i)));
+    } else if (data[0] && typeof data[0] === 'object') {
+        table = createTable(Object.keys(data[0]));
+    } else {
+        throw new Error('JSON points must be arrays ([x, y, z]) or objects ({ "x": ..., "y": ..., "z": ... })');
+    }
+
+    data.forEach((point, i) => {
+        const fields = Array.isArray(point) ? point : table.names.map(name => point && point[name]);
+        if (!point || typeof point !== 'object' || fields.length !== table.names.length) {
+            throw new Error(`JSON point ${i} does not have the same fields as point 0`);
+        }
+        fields.forEach((value, c) => {
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                throw new Error(`JSON point ${i}, field "${table.names[c]}": ${JSON.stringify(value)} is not a number`);
+            }
+            table.columns[c].push(value);
+        });
+    });
+    return table;
+}
+
+// Parse the PLY header: format, elements with their properties, and where the body starts
+function parsePlyHeader(bytes) {
+    // The header is ASCII and ends with an end_header line
+    const headerText = new TextDecoder('ascii').decode(bytes.subarray(0, Math.min(bytes.length, 65536)));
+    const end = headerText.search(/end_header\r?\n/);
+    if (!headerText.startsWith('ply') || end < 0) {
+        throw new Error('PLY file has no valid header (it must start with "ply" and contain "end_header")');
+    }
+    const bodyStart = end + headerText.slice(end).indexOf('\n') + 1;
+
+    let format = null;
+    const elements = [];
+    headerText.slice(0, end).split(/\r?\n/).forEach((line, i) => {
+        const words = line.trim().split(/\s+/);
+        const where = `PLY header line ${i + 1}`;
+        switch (words[0]) {
+            case 'format':
+                format = words[1];
+                if (!['ascii', 'binary_little_endian', 'binary_big_endian'].includes(format)) {
+                    throw new Error(`${where}: unsupported format "${format}"`);
+                }
+                break;
+            case 'element': {
+                const count = Number(words[2]);
+                if (!Number.isInteger(count) || count < 0) throw new Error(`${where}: bad element count "${words[2]}"`);
+                elements.push({ name: words[1], count: count, properties: [] });
+                break;
+            }
+            case 'property': {
+                const element = elements[elements.length - 1];
+                if (!element) throw new Error(`${where}: property before any element`);
+                if (words[1] === 'list') {
+                    if (!PLY_TYPES[words[2]] || !PLY_TYPES[words[3]]) throw new Error(`${where}: unknown list type`);
+                    element.properties.push({ name: words[4], list: true, countType: PLY_TYPES[words[2]], type: PLY_TYPES[words[3]] });
+                } else {
+                    if (!PLY_TYPES[words[1]]) throw new Error(`${where}: unknown property type "${words[1]}"`);
+                    element.properties.push({ name: words[2], list: false, type: PLY_TYPES[words[1]] });
+                }
+                break;
+            }
+            default:
+                break; // ply, comment, obj_info
+        }
+    });
+
+    if (!format) throw new Error('PLY header has no format line');
+    if (!elements.some(element => element.name === 'vertex')) throw new Error('PLY file has no vertex element');
+    return { format: format, elements: elements, bodyStart: bodyStart };
+}
+
+export function parsePly(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const header = parsePlyHeader(bytes);
+    const vertex = header.elements.find(element => element.name === 'vertex');
+    const table = createTable(vertex.properties.filter(p => !p.list).map(p => p.name));
+
+    if (header.format === 'ascii') {
+        const tokens = new TextDecoder('ascii').decode(bytes.subarray(header.bodyStart)).split(/\s+/).filter(Boolean);
+        let t = 0;
+        const next = (element, row) => {
+            if (t >= tokens.length) throw new Error(`PLY file ends early, in ${element.name} ${row}`);
+            const value = Number(tokens[t++]);
+            if (!Number.isFinite(value)) throw new Error(`PLY ${element.name} ${row}: "${tokens[t - 1]}" is not a number`);
+            return value;
+        };
+        header.elements.forEach(element => {
+            for (let row = 0; row < element.count; row++) {
+                let c = 0;
+                element.properties.forEach(property => {
+                    if (property.list) {
+                        const count = next(element, row);
+                        for (let k = 0; k < count; k++) next(element, row);
+                    } else {
+                        const value = next(element, row);
+                        if (element === vertex) table.columns[c++].push(value);
+                    }
+                });
+            }
+        });
+        return table;
+    }
+
+    const view = new DataView(buffer);
+    const littleEndian = header.format === 'binary_little_endian';
+    let offset = header.bodyStart;
+    const read = (type, element, row) => {
+        if (offset + PLY_TYPE_SIZES[type] > view.byteLength) throw new Error(`PLY file ends early, in ${element.name} ${row}`);
+        const value = view['get' + type](offset, littleEndian);
+        offset += PLY_TYPE_SIZES[type];
+        return value;
+    };
+    header.elements.forEach(element => {
+        for (let row = 0; row < element.count; row++) {
+            let c = 0;
+            element.properties.forEach(property => {
+                if (property.list) {
+                    const count = read(property.countType, element, row);
+                    offset += count * PLY_TYPE_SIZES[property.type];
+                } else {
+                    const value = read(property.type, element, row);
+                    if (element === vertex) table.columns[c++].push(value);
+                }
+            });
+        }
+    });
+    return table;
+}
+
+function detectFormat(fileName, bytes) {
+    const extension = (fileName.match(/\.([^.]+)$/) || [])[1];
+    if (extension) {
+        const format = { csv: 'csv', tsv: 'csv', txt: 'csv', xyz: 'csv', ply: 'ply', json: 'json' }[extension.toLowerCase()];
+        if (format) return format;
+    }
+    // Unknown extension: look at the content
+    const start = new TextDecoder('ascii').decode(bytes.subarray(0, 16)).trimStart();
+    if (start.startsWith('ply')) return 'ply';
+    if (start.startsWith('[') || start.startsWith('{')) return 'json';
+    return 'csv';
+}
+
+// Read a dataset file into { count, positions, colors, values, radius, columns }:
+//   center      - move the center of the bounding box to the origin
+//   fitRadius   - scale so the farthest point is this far from the origin (null keeps the size)
+//   colorColumn - name of a numeric column to rescale into `values`
+// `radius` is the distance of the farthest point from the origin after centering and scaling.
+export function loadDataset(fileName, buffer, { center = true, fitRadius = null, colorColumn = null } = {}) {
+    const bytes = new Uint8Array(buffer);
+    const format = detectFormat(fileName, bytes);
+    const text = () => new TextDecoder('utf-8').decode(bytes);
+    const table = format === 'ply' ? parsePly(buffer) : format === 'json' ? parseJson(text()) : parseCsv(text());
+
+    const count = table.columns[0] ? table.columns[0].length : 0;
+    if (count === 0) throw new Error(`"${fileName}" has no points`);
+
+    // Named x / y / z columns, or the first three
+    if (table.names.length < 3) {
+        throw new Error(`"${fileName}" needs at least three columns for x, y and z (found: ${table.names.join(', ')})`);
+    }
+    const axes = ['x', 'y', 'z'].map(name => findColumn(table, name));
+    const positionColumns = axes.every(c => c >= 0) ? axes : [0, 1, 2];
+
+    const positions = new Float32Array(count * 3);
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    positionColumns.forEach((c, axis) => {
+        const column = table.columns[c];
+        for (let i = 0; i < count; i++) {
+            positions[i * 3 + axis] = column[i];
+            min[axis] = Math.min(min[axis], column[i]);
+            max[axis] = Math.max(max[axis], column[i]);
+        }
+    });
+
+    // Center on the bounding box, then scale by the farthest point
+    const offset = center ? min.map((low, axis) => (low + max[axis]) / 2) : [0, 0, 0];
+    let radius = 0;
+    for (let i = 0; i < count * 3; i++) positions[i] -= offset[i % 3];
+    for (let i = 0; i < count; i++) {
+        radius = Math.max(radius, Math.hypot(positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]));
+    }
+    if (fitRadius && radius > 0) {
+        const scale = fitRadius / radius;
+        for (let i = 0; i < count * 3; i++) positions[i] *= scale;
+        radius = fitRadius;
+    }
+
+    let colors = null;
+    const colorSet = COLOR_COLUMNS.map(names => names.map(name => findColumn(table, name))).find(set => set.every(c => c >= 0));
+    if (colorSet) {
+        // 0-255 unless every channel already is within 0-1
+        const byteColors = colorSet.some(c => table.columns[c].some(value => value > 1));
+        colors = new Float32Array(count * 3);
+        colorSet.forEach((c, channel) => {
+            for (let i = 0; i < count; i++) {
+                colors[i * 3 + channel] = Math.min(Math.max(table.columns[c][i] / (byteColors ? 255 : 1), 0), 1);
+            }
+        });
+    }
+
+    let values = null;
+    if (colorColumn !== null && colorColumn !== undefined) {
+        const c = findColumn(table, colorColumn);
+        if (c < 0) {
+            throw new Error(`"${fileName}" has no column "${colorColumn}" (columns: ${table.names.join(', ')})`);
+        }
+        const column = table.columns[c];
+        const low = column.reduce((a, b) => Math.min(a, b), Infinity);
+        const high = column.reduce((a, b) => Math.max(a, b), -Infinity);
+        values = new Float32Array(count);
+        for (let i = 0; i < count; i++) {
+            values[i] = high > low ? (column[i] - low) / (high - low) : 0;
+        }
+    }
+
+    return { count: count, positions: positions, colors: colors, values: values, radius: radius, columns: table.names };
+}
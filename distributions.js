@@ -0,0 +1,248 @@
+// Point-distribution generators, picked by name.
+//
+// A generator definition has:
+//   label          - human readable name
+//   params         - typed parameter descriptors: { type: 'number' | 'integer', default, min, max, description }
+//   gradientRadius - (params) => distance from the center at which points get the full outer color
+//   create         - (random, params) => function returning one [x, y, z] point per call
+//
+// `create` is called once per scene, so generators can lay out shared structure
+// (e.g. cluster centers) up front using the same seeded random source.
+
+const TWO_PI = Math.PI * 2;
+
+// Standard normal sample (Box-Muller)
+function gaussian(random) {
+    const u = 1 - random(); // (0, 1] so the log is finite
+    const v = random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(TWO_PI * v);
+}
+
+// Rotate a point lying in the x/z plane about the x axis so disks aren't seen edge-on
+function tiltPoint(x, y, z, tilt) {
+    const c = Math.cos(tilt);
+    const s = Math.sin(tilt);
+    return [x, y * c - z * s, y * s + z * c];
+}
+
+// Spherical bulge of gaussian-distributed points, used for the cores of disk galaxies
+function bulgePoint(random, size) {
+    return [gaussian(random) * size, gaussian(random) * size, gaussian(random) * size];
+}
+
+// Point on one of the logarithmic-looking arms of a disk; `startRadius` lets arms begin at the end of a bar
+function armPoint(random, p, arms, startRadius, startAngle) {
+    const arm = Math.floor(random() * arms);
+    const t = Math.pow(random(), 0.8); // 0 at the start of the arm, 1 at its tip
+    const r = startRadius + t * (p.radius - startRadius);
+
+    // Arms get wider and thinner towards their tips
+    const angle = startAngle + arm * TWO_PI / arms + p.twist * TWO_PI * t + gaussian(random) * p.armSpread * (0.3 + t);
+    const radial = r + gaussian(random) * p.armSpread * 0.5;
+    const height = gaussian(random) * p.thickness * (1 - 0.6 * t);
+
+    return [radial * Math.cos(angle), height, radial * Math.sin(angle)];
+}
+
+export const DISTRIBUTIONS = {
+    sphere: {
+        label: 'Spherical cloud',
+        params: {
+            radius: { type: 'number', default: 4.0, min: 0.1, max: 50, description: 'Radius of the dense core' },
+            shellFraction: { type: 'number', default: 0.05, min: 0, max: 1, description: 'Share of points in the sparse outer shell' },
+            shellRadius: { type: 'number', default: 8.0, min: 0.1, max: 100, description: 'Outer radius of the shell' }
+        },
+        gradientRadius: p => p.radius * 1.5,
+        create: (random, p) => () => {
+            // Use inverse square distribution for density concentration at center
+            // This creates higher density in center, lower at edges
+            let distance = Math.pow(random(), 1.5) * p.radius;
+
+            // Some points are scattered further out (sparse outer shell)
+            if (random() > 1 - p.shellFraction) {
+                distance = p.radius + random() * (p.shellRadius - p.radius);
+            }
+
+            // Use spherical coordinates for full 3D distribution
+            // Uniform distribution on a sphere
+            let theta = random() * TWO_PI;             // Longitude: 0 to 2π
+            let phi = Math.acos(2 * random() - 1);     // Latitude: 0 to π
+
+            // Convert to cartesian coordinates
+            return [
+                distance * Math.sin(phi) * Math.cos(theta),
+                distance * Math.sin(phi) * Math.sin(theta),
+                distance * Math.cos(phi)
+            ];
+        }
+    },
+
+    spiral: {
+        label: 'Spiral disk',
+        params: {
+            arms: { type: 'integer', default: 4, min: 1, max: 16, description: 'Number of spiral arms' },
+            twist: { type: 'number', default: 1.0, min: -5, max: 5, description: 'Turns each arm makes from core to tip' },
+            radius: { type: 'number', default: 6.0, min: 0.1, max: 50, description: 'Disk radius' },
+            armSpread: { type: 'number', default: 0.35, min: 0, max: 3, description: 'How loosely points follow an arm' },
+            thickness: { type: 'number', default: 0.25, min: 0, max: 5, description: 'Disk thickness' },
+            coreFraction: { type: 'number', default: 0.2, min: 0, max: 1, description: 'Share of points in the central bulge' },
+            tilt: { type: 'number', default: 1.1, min: -Math.PI, max: Math.PI, description: 'Tilt of the disk towards the camera (radians)' }
+        },
+        gradientRadius: p => p.radius,
+        create: (random, p) => () => {
+            const [x, y, z] = random() < p.coreFraction ?
+                bulgePoint(random, p.radius * 0.12) :
+                armPoint(random, p, p.arms, 0, 0);
+            return tiltPoint(x, y, z, p.tilt);
+        }
+    },
+
+    barredSpiral: {
+        label: 'Barred spiral',
+        params: {
+            arms: { type: 'integer', default: 2, min: 1, max: 16, description: 'Number of spiral arms' },
+            twist: { type: 'number', default: 0.6, min: -5, max: 5, description: 'Turns each arm makes from bar end to tip' },
+            radius: { type: 'number', default: 6.0, min: 0.1, max: 50, description: 'Disk radius' },
+            barLength: { type: 'number', default: 3.0, min: 0, max: 50, description: 'Length of the central bar' },
+            barWidth: { type: 'number', default: 0.35, min: 0, max: 5, description: 'Width of the central bar' },
+            barFraction: { type: 'number', default: 0.3, min: 0, max: 1, description: 'Share of points in the bar' },
+            armSpread: { type: 'number', default: 0.35, min: 0, max: 3, description: 'How loosely points follow an arm' },
+            thickness: { type: 'number', default: 0.25, min: 0, max: 5, description: 'Disk thickness' },
+            tilt: { type: 'number', default: 1.1, min: -Math.PI, max: Math.PI, description: 'Tilt of the disk towards the camera (radians)' }
+        },
+        gradientRadius: p => p.radius,
+        create: (random, p) => {
+            const barHalf = Math.min(p.barLength / 2, p.radius);
+            // Two-armed bars feed one arm from each end; more arms are spread evenly as usual
+            return () => {
+                let point;
+                if (random() < p.barFraction) {
+                    const along = (random() * 2 - 1) * barHalf;
+                    point = [along, gaussian(random) * p.thickness, gaussian(random) * p.barWidth];
+                } else {
+                    point = armPoint(random, p, p.arms, barHalf, 0);
+                }
+                return tiltPoint(point[0], point[1], point[2], p.tilt);
+            };
+        }
+    },
+
+    torus: {
+        label: 'Torus / ring',
+        params: {
+            majorRadius: { type: 'number', default: 4.0, min: 0.1, max: 50, description: 'Distance from the center to the middle of the tube' },
+            minorRadius: { type: 'number', default: 0.9, min: 0.01, max: 20, description: 'Radius of the tube' },
+            tilt: { type: 'number', default: 1.1, min: -Math.PI, max: Math.PI, description: 'Tilt of the ring towards the camera (radians)' }
+        },
+        gradientRadius: p => p.majorRadius + p.minorRadius,
+        create: (random, p) => () => {
+            const u = random() * TWO_PI;
+            const v = random() * TWO_PI;
+            const r = p.minorRadius * Math.sqrt(random()); // Uniform over the tube's cross-section
+            const ring = p.majorRadius + r * Math.cos(v);
+            return tiltPoint(ring * Math.cos(u), r * Math.sin(v), ring * Math.sin(u), p.tilt);
+        }
+    },
+
+    clusters: {
+        label: 'Gaussian clusters',
+        params: {
+            count: { type: 'integer', default: 6, min: 1, max: 100, description: 'Number of clusters' },
+            spread: { type: 'number', default: 4.0, min: 0, max: 50, description: 'Radius within which cluster centers are placed' },
+            sigma: { type: 'number', default: 0.6, min: 0.01, max: 10, description: 'Standard deviation of each cluster' }
+        },
+        gradientRadius: p => p.spread + p.sigma * 2,
+        create: (random, p) => {
+            const centers = [];
+            for (let i = 0; i < p.count; i++) {
+                const distance = Math.cbrt(random()) * p.spread;
+                const theta = random() * TWO_PI;
+                const phi = Math.acos(2 * random() - 1);
+                centers.push([
+                    distance * Math.sin(phi) * Math.cos(theta),
+                    distance * Math.sin(phi) * Math.sin(theta),
+                    distance * Math.cos(phi)
+                ]);
+            }
+
+            return () => {
+                const center = centers[Math.floor(random() * centers.length)];
+                return [
+                    center[0] + gaussian(random) * p.sigma,
+                    center[1] + gaussian(random) * p.sigma,
+                    center[2] + gaussian(random) * p.sigma
+                ];
+            };
+        }
+    },
+
+    cube: {
+        label: 'Uniform cube',
+        params: {
+            size: { type: 'number', default: 8.0, min: 0.1, max: 100, description: 'Edge length of the cube' }
+        },
+        gradientRadius: p => p.size * 0.75,
+        create: (random, p) => () => [
+            (random() - 0.5) * p.size,
+            (random() - 0.5) * p.size,
+            (random() - 0.5) * p.size
+        ]
+    }
+};
+
+// Add a custom generator (or replace a built-in one) under the given name
+export function registerDistribution(name, definition) {
+    if (typeof definition.create !== 'function' || typeof definition.gradientRadius !== 'function') {
+        throw new TypeError(`Distribution "${name}" needs create() and gradientRadius() functions`);
+    }
+    DISTRIBUTIONS[name] = Object.assign({ label: name, params: {} }, definition);
+}
+
+// Merge overrides onto the declared defaults, rejecting unknown, mistyped or out-of-range values
+export function resolveDistributionParams(name, overrides = {}) {
+    const definition = DISTRIBUTIONS[name];
+    if (!definition) {
+        throw new Error(`Unknown point distribution "${name}" (available: ${Object.keys(DISTRIBUTIONS).join(', ')})`);
+    }
+    return resolveParams(`point distribution "${name}"`, definition.params, overrides);
+}
+
+// Checked parameter values for `specs` (typed descriptors as in the definitions above), with the
+// defaults filled in. `owner` names what the parameters belong to in error messages.
+export function resolveParams(owner, specs, overrides = {}) {
+    const params = {};
+    Object.keys(overrides).forEach(key => {
+        if (!specs[key]) {
+            throw new Error(`Unknown parameter "${key}" for ${owner}`);
+        }
+    });
+
+    Object.entries(specs).forEach(([key, spec]) => {
+        const value = key in overrides ? overrides[key] : spec.default;
+
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            throw new TypeError(`Parameter "${key}" of ${owner} must be a finite number`);
+        }
+        if (spec.type === 'integer' && !Number.isInteger(value)) {
+            throw new TypeError(`Parameter "${key}" of ${owner} must be an integer`);
+        }
+        if ((spec.min !== undefined && value < spec.min) || (spec.max !== undefined && value > spec.max)) {
+            throw new RangeError(`Parameter "${key}" of ${owner} must be between ${spec.min} and ${spec.max}`);
+        }
+
+        params[key] = value;
+    });
+
+    return params;
+}
+
+// Returns { point, gradientRadius } for the named generator, seeded with `random`
+export function createDistribution(name, random, overrides = {}) {
+    const params = resolveDistributionParams(name, overrides);
+    const definition = DISTRIBUTIONS[name];
+
+    return {
+        point: definition.create(random, params),
+        gradientRadius: definition.gradientRadius(params)
+    };
+}
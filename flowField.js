@@ -0,0 +1,141 @@
+// Flow-field motion, the alternative to breathing: instead of swinging in and out along their
+// vector from the center, the animated points drift through space.
+//
+// Modes:
+//   breathing - no flow; the radial breathing of pointsMaterial.js
+//   curl      - the points follow the curl of a smooth random vector potential, so the flow has
+//               no sources or sinks and they swirl around without bunching up. The potential is a
+//               sum of random plane waves (from the scene seed) drifting slowly in time, which
+//               makes its curl exact and cheap to evaluate.
+//   orbit     - differential rotation about the y axis, like the disk of a real galaxy: the orbital
+//               speed rises through the core (`coreRadius`) and stays flat beyond it, so inner
+//               points lap the outer ones.
+// `strength` is the typical speed in units per second. Points leaving the cube of half-size
+// `bounds` around the center come back in on the opposite side.
+//
+// Fields are plain data and stepFlow() a plain function, so the worker (flowWorker.js) and the
+// main thread run the same code.
+
+export const FLOW_MODES = ['breathing', 'curl', 'orbit'];
+
+const WAVES = 4; // Plane waves per component of the curl noise potential
+const WAVE_SIZE = 6; // Floats per wave: direction * frequency (3), phase, phase drift (rad/s), amplitude
+const MAX_CURL_STEP = 0.1; // s; longer steps are split so the points stay on the curved flow lines
+
+// Throws a descriptive error unless `motion` ({ mode, strength, bounds, noiseScale, coreRadius }) is usable
+export function checkMotionOptions(motion) {
+    if (!FLOW_MODES.includes(motion.mode)) {
+        throw new Error(`Unknown motion mode "${motion.mode}" (available: ${FLOW_MODES.join(', ')})`);
+    }
+    [['strength', 0], ['bounds', 0.1], ['noiseScale', 0.01], ['coreRadius', 0.01]].forEach(([key, min]) => {
+        const value = motion[key];
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < min) {
+            throw new RangeError(`Motion ${key} must be a number of at least ${min} (got ${value})`);
+        }
+    });
+}
+
+// The field for `motion`, with the waves of the curl noise drawn from `random`
+export function createFlowField(random, motion) {
+    const waves = new Float32Array(3 * WAVES * WAVE_SIZE);
+    for (let w = 0; w < 3 * WAVES; w++) {
+        // Random direction, frequency around noiseScale
+        const theta = random() * Math.PI * 2;
+        const z = random() * 2 - 1;
+        const r = Math.sqrt(1 - z * z);
+        const frequency = motion.noiseScale * (0.6 + random());
+        const o = w * WAVE_SIZE;
+        waves[o] = r * Math.cos(theta) * frequency;
+        waves[o + 1] = r * Math.sin(theta) * frequency;
+        waves[o + 2] = z * frequency;
+        waves[o + 3] = random() * Math.PI * 2;
+        waves[o + 4] = 0.05 + random() * 0.15;
+        waves[o + 5] = 1 / (WAVES * frequency); // Every wave adds about the same speed
+    }
+
+    return {
+        mode: motion.mode,
+        strength: motion.strength,
+        bounds: motion.bounds,
+        coreRadius: motion.coreRadius,
+        waves: waves
+    };
+}
+
+// Gradient of component c of the potential at (x, y, z) and `time`, added into `out` at `offset`
+function potentialGradient(waves, c, x, y, z, time, out, offset) {
+    let gx = 0;
+    let gy = 0;
+    let gz = 0;
+    for (let w = c * WAVES; w < (c + 1) * WAVES; w++) {
+        const o = w * WAVE_SIZE;
+        const kx = waves[o];
+        const ky = waves[o + 1];
+        const kz = waves[o + 2];
+        const slope = waves[o + 5] * Math.cos(kx * x + ky * y + kz * z + waves[o + 3] + waves[o + 4] * time);
+        gx += slope * kx;
+        gy += slope * ky;
+        gz += slope * kz;
+    }
+    out[offset] = gx;
+    out[offset + 1] = gy;
+    out[offset + 2] = gz;
+}
+
+// Fastest any point can move under `field`, in units per second. Orbits keep below `strength`; every
+// gradient of the curl noise potential is at most 1 per axis (the waves' amplitudes make it so), so
+// each component of the curl is at most 2.
+export function maxFlowSpeed(field) {
+    return field.mode === 'curl' ? 2 * Math.sqrt(3) * field.strength : field.strength;
+}
+
+function wrap(value, bounds) {
+    if (value > bounds) return value - 2 * bounds * Math.ceil((value - bounds) / (2 * bounds));
+    if (value < -bounds) return value + 2 * bounds * Math.ceil((-bounds - value) / (2 * bounds));
+    return value;
+}
+
+// Move the points of `positions` ([x, y, z, ...]) whose `animated` flag is set by `dt` seconds of
+// the flow, starting at flow time `time`. Curl steps are split up to `maxStep` seconds each (never
+// finer than MAX_CURL_STEP); coarser steps are cheaper and stray further from the flow lines.
+export function stepFlow(positions, animated, field, time, dt, maxStep = MAX_CURL_STEP) {
+    const count = Math.min(animated.length, positions.length / 3);
+    const { strength, bounds, waves } = field;
+    if (!(dt > 0)) return;
+
+    if (field.mode === 'orbit') {
+        for (let i = 0; i < count; i++) {
+            if (animated[i] <= 0) continue;
+            const x = positions[i * 3];
+            const z = positions[i * 3 + 2];
+            // Flat rotation curve outside the core: angular speed = orbital speed / radius
+            const radius = Math.sqrt(x * x + z * z);
+            const angle = strength * dt / (radius + field.coreRadius);
+            const c = Math.cos(angle);
+            const s = Math.sin(angle);
+            positions[i * 3] = wrap(x * c + z * s, bounds);
+            positions[i * 3 + 2] = wrap(z * c - x * s, bounds);
+        }
+    } else if (field.mode === 'curl') {
+        const gradients = new Float64Array(9); // Gradients of the three potential components
+        const steps = Math.ceil(dt / Math.max(maxStep, MAX_CURL_STEP));
+        const h = dt / steps;
+        for (let i = 0; i < count; i++) {
+            if (animated[i] <= 0) continue;
+            let x = positions[i * 3];
+            let y = positions[i * 3 + 1];
+            let z = positions[i * 3 + 2];
+            for (let k = 0; k < steps; k++) {
+                const now = time + k * h;
+                for (let c = 0; c < 3; c++) potentialGradient(waves, c, x, y, z, now, gradients, c * 3);
+                // curl = (dPz/dy - dPy/dz, dPx/dz - dPz/dx, dPy/dx - dPx/dy)
+                x = wrap(x + (gradients[7] - gradients[5]) * strength * h, bounds);
+                y = wrap(y + (gradients[2] - gradients[6]) * strength * h, bounds);
+                z = wrap(z + (gradients[3] - gradients[1]) * strength * h, bounds);
+            }
+            positions[i * 3] = x;
+            positions[i * 3 + 1] = y;
+            positions[i * 3 + 2] = z;
+        }
+    }
+}
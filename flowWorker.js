@@ -0,0 +1,31 @@
+// Web Worker stepping the flow-field motion (flowField.js) off the main thread.
+//
+// The worker keeps the positions of the flow itself and steps them in place; the main thread only
+// lends it an empty buffer per step, which comes back filled with the new positions and is then
+// drawn as it is, so the main thread touches no positions at all.
+//
+// Messages in:
+//   { type: 'init', animated, field, positions }    - the points that move, the field and where the points are
+//                                                     (sent again whenever the main thread moved them itself)
+//   { type: 'step', buffer, time, dt, generation }  - advance by dt and write the positions into `buffer`
+//                                                     (a transferred ArrayBuffer of the same size)
+// Messages out:
+//   { buffer, generation }                          - the filled buffer, transferred back
+
+import { stepFlow } from './flowField.js';
+
+let animated = new Uint8Array(0);
+let field = null;
+let positions = new Float32Array(0);
+
+self.onmessage = ({ data }) => {
+    if (data.type === 'init') {
+        animated = data.animated;
+        field = data.field;
+        positions = data.positions;
+    } else if (data.type === 'step') {
+        if (field) stepFlow(positions, animated, field, data.time, data.dt);
+        new Float32Array(data.buffer).set(positions);
+        self.postMessage({ buffer: data.buffer, generation: data.generation }, [data.buffer]);
+    }
+};
@@ -0,0 +1,2597 @@
+// The galaxy scene, as an embeddable component.
+//
+//   const galaxy = createGalaxy(container, options);
+//   galaxy.start();
+//
+// Every galaxy keeps its own scene, renderer, settings and state, so several can run on one page.
+// The canvas fills the container and follows its size. three.js (r124) is passed in as the `three`
+// option, or else taken from the global THREE of three.r124.min.js, and handed on to the modules
+// that need it. See DEFAULT_OPTIONS for the options.
+
+import WindowManager from './WindowManager.js';
+import { createRandom, hashString, isSeedGiven, resolveSeed } from './random.js';
+import { createDistribution, resolveDistributionParams } from './distributions.js';
+import { createTopology, MAX_UNIT_LINKS } from './topologies.js';
+import { THEMES, createTheme, hexToRgbNorm } from './themes.js';
+import { loadDataset } from './datasets.js';
+import SpatialGrid from './SpatialGrid.js';
+import { createPointsMaterial, setPointScale } from './pointsMaterial.js';
+import ConnectionPool from './ConnectionPool.js';
+import CameraControls from './CameraControls.js';
+import Picker from './Picker.js';
+import Capture, { download } from './Capture.js';
+import { encodeSnapshot, decodeSnapshot, isSnapshot } from './snapshot.js';
+import SettingsPanel, { sanitizeValue } from './SettingsPanel.js';
+import QualityGovernor from './QualityGovernor.js';
+import StatsOverlay, { FrameTimes } from './StatsOverlay.js';
+import StaticView from './StaticView.js';
+import { checkMotionOptions, createFlowField, maxFlowSpeed, stepFlow } from './flowField.js';
+import AudioReactive, { DEFAULT_BANDS, checkAudioSettings, checkMapping, mapLevel } from './AudioReactive.js';
+
+const SMALL_BATCH_INTERVAL = 1.0; // Check for small batch updates every second
+const CONNECTION_REFRESH_RATE = 0.05; // Only update 5% at a time for smoother transitions
+const INITIAL_CONNECTIONS = 300; // Number of initial connections to create
+const CAMERA_DISTANCE = 12; // Home distance of the camera from the galaxy
+const CORE_VIEW_DISTANCE = 3; // Camera distance when flying to the galaxy core
+const ROTATION_SPEED = 0.09; // Auto-rotation about the y axis (radians per second)
+const CAMERA_HASH_DELAY = 250; // Wait this long (ms) after the camera stops moving before updating the URL hash
+const MESSAGE_DURATION = 6000; // How long (ms) status and error messages stay up
+const SNAPSHOT_FORMAT = 2; // Version of the scene data in snapshot files (snapshot.js versions the container)
+const CONNECTION_STATE_NAMES = ['active', 'fadingIn', 'fadingOut', 'pendingRemoval']; // Codes of the lifecycle states in snapshots
+const MAX_CONNECTIONS_PER_POINT = 4; // Maximum number of connections per point
+const NO_OFFSET = [0, 0, 0];
+const WINDOW_LINK_LINES = 8; // Lines drawn between the clusters of each pair of windows
+const WINDOW_LINK_SPREAD = 2.5; // How far from a cluster's center a window link may end
+const MAX_LINKED_WINDOWS = 16; // Other windows this window draws links to at most
+const QUALITY_EVENT = 'galaxyqualitychange'; // Dispatched on the container when the quality tier changes
+const MAX_FRAME_DELTA = 0.25; // Longest wall-clock gap (s) one frame may advance the simulation by
+const SEEK_STEP = 1 / 20; // Simulation step (s) when fast-forwarding to a seek target
+const MAX_SEEK_STEPS = 600; // Steps one seek takes at most; farther targets are reached in longer steps
+const AUDIO_FILE_PATTERN = /\.(mp3|wav|ogg|oga|opus|flac|m4a|aac)$/i; // Dropped files played as audio (besides audio/* types)
+const AUDIO_TARGETS = ['breathing', 'pulse', 'spawn']; // What the audio option maps bands onto
+
+// Tuning knobs; editable at runtime in the settings panel (S), or through the settings option
+const DEFAULT_SETTINGS = {
+    numPoints: 50000, // Suitable number of main points
+    percentageAnimated: 0.5, // Share of points that move in/out
+    connectionThreshold: 2, // Maximum distance for connections
+    targetConnections: 400, // Target number of active connections
+    maxTotalConnections: 600, // Maximum allowed connections at any time
+    fadeInDuration: 0.75, // How long it takes for new connections to fade in (seconds)
+    fadeOutDuration: 1.5 // How long it takes for old connections to fade out (seconds)
+};
+
+// Color and appearance configuration; editable like the settings, or through the config option.
+// The colors (HEX) override the theme's own; null keeps the theme's, and picking another theme starts from its own again.
+const DEFAULT_CONFIG = {
+    theme: 'dark',                  // color theme from themes.js; with urlState, ?theme=... in the URL takes precedence
+    backgroundColor: null,          // clear color
+    centerColor: null,              // points at the center (first stop of the point gradient)
+    outerColor: null,               // points at the edge (last stop of the point gradient)
+    useLineGradient: false,         // color lines with the theme's line gradient instead of its flat line color
+    lineColorFlat: null,            // flat line color
+    highlightColor: null            // hovered hub and its spokes
+};
+
+// The CONFIG colors and the theme colors they override (see createTheme())
+const THEME_COLORS = {
+    backgroundColor: 'background',
+    centerColor: 'centerColor',
+    outerColor: 'outerColor',
+    lineColorFlat: 'lineColor',
+    highlightColor: 'highlightColor'
+};
+
+// Names of the three.js blending constants for the blending modes themes can ask for
+const BLENDING = {
+    additive: 'AdditiveBlending',
+    normal: 'NormalBlending'
+};
+
+// Quality tiers from full quality down, each one cheaper than the last. When frames get slow,
+// the render resolution goes first, then the number of points drawn, then the number of hubs,
+// then how often the connections are animated.
+//   pixelScale      - fraction of the device pixel ratio rendered at
+//   points          - fraction of the points drawn (and used for new hubs)
+//   connections     - fraction of the hub budgets (SETTINGS.targetConnections and maxTotalConnections)
+//   animationStride - connections are faded and moved with the breathing every this many frames
+const QUALITY_TIERS = [
+    { pixelScale: 1, points: 1, connections: 1, animationStride: 1 },
+    { pixelScale: 0.75, points: 1, connections: 1, animationStride: 1 },
+    { pixelScale: 0.5, points: 1, connections: 1, animationStride: 1 },
+    { pixelScale: 0.5, points: 0.6, connections: 1, animationStride: 1 },
+    { pixelScale: 0.5, points: 0.3, connections: 1, animationStride: 1 },
+    { pixelScale: 0.5, points: 0.3, connections: 0.5, animationStride: 1 },
+    { pixelScale: 0.5, points: 0.3, connections: 0.25, animationStride: 1 },
+    { pixelScale: 0.5, points: 0.3, connections: 0.25, animationStride: 2 },
+    { pixelScale: 0.5, points: 0.3, connections: 0.25, animationStride: 4 }
+];
+
+// Options of createGalaxy(); besides these it takes `settings` and `config`, overriding
+// DEFAULT_SETTINGS and DEFAULT_CONFIG (and what Reset in the settings panel goes back to)
+const DEFAULT_OPTIONS = {
+    seed: null, // Scene seed (number or text); with urlState, ?seed=... in the URL takes precedence; null picks a fresh one
+    distribution: 'sphere', // Point generator from distributions.js; with urlState, ?distribution=... in the URL takes precedence
+    distributionParams: {}, // Overrides for the generator's parameters, e.g. { arms: 3, twist: 1.5 }
+    topology: 'hubs', // How connections are wired, from topologies.js; with urlState, ?topology=... in the URL takes precedence
+    topologyParams: {}, // Overrides for the topology's parameters, e.g. { spokes: 4 }
+    timeScale: 1, // Scene seconds per second of wall-clock time ([ and ] halve and double it)
+    pauseWhenHidden: true, // Stop the simulation clock while the page is hidden (background tab, minimized window)
+    reducedMotion: null, // true: no rotation or breathing, false: always animated, null: follow the prefers-reduced-motion setting
+    capture: { // What the P (still) and V (video) shortcuts capture
+        stillWidth: 7680, // 8K UHD
+        stillHeight: 4320,
+        fps: 60,
+        duration: 10, // Seconds of scene time per video
+        format: 'webm' // 'webm', or 'png' for a frame sequence (one download per frame)
+    },
+    quality: { // Adaptive quality (see QualityGovernor.js)
+        adaptive: null, // Step through QUALITY_TIERS with the frame rate; false always renders at full quality. null: adaptive
+        // unless a seed is given, since fewer points and hubs would change the connection graph the seed stands for
+        slowFrameTime: 1000 / 45, // ms; average frame time above which quality goes down
+        fastFrameTime: 1000 / 55 // ms; average frame time below which quality comes back up
+    },
+    motion: { // How the animated points move (see flowField.js)
+        mode: 'breathing', // 'breathing' in and out from the center, 'curl' along a curl-noise flow, 'orbit' in differential rotation
+        strength: 0.3, // Flow speed (units per second)
+        bounds: 10, // Half-size of the cube around the center the flow wraps around in
+        noiseScale: 0.35, // Spatial frequency of the curl noise ('curl')
+        coreRadius: 1.5 // Radius of the core that turns like a solid body ('orbit')
+    },
+    audio: { // Audio-reactive mode (see AudioReactive.js): M listens to the microphone, or drop an audio file
+        bands: DEFAULT_BANDS, // Named frequency ranges (Hz) the mappings below pick from
+        gain: 2, // Sensitivity: a band's loudness (0 to 1) is multiplied by this, then capped at 1
+        attack: 0.05, // s; how quickly a level follows rising loudness
+        release: 0.4, // s; how slowly it falls back
+        // Each mapping goes from `min` in silence to `max` at full level of its band
+        breathing: { band: 'bass', min: 0.5, max: 3 }, // Breathing amplitude, in multiples of the normal one
+        pulse: { band: 'mid', min: 0.6, max: 1.6 }, // Opacity of the connections, in multiples of their normal pulse
+        spawn: { band: 'treble', min: 0.5, max: 3 } // New hubs per scheduler tick, in multiples of the normal rate
+    },
+    import: { // How files dropped onto the canvas are loaded (see datasets.js)
+        center: true, // Move the center of the data's bounding box onto the cluster center
+        fit: true, // Scale the data to fit the current camera view
+        colorColumn: null // Numeric column mapped onto the theme's point gradient; null uses the file's
+                          // own red/green/blue columns if it has them, else the distance from the center
+    },
+
+    // Fixed once the galaxy is created (see CREATION_OPTIONS)
+    three: null, // The three.js r124 namespace, e.g. import * as THREE from 'three'; null: the global THREE
+    multiWindow: false, // Show this window's cluster linked to the clusters of the app's other windows (the container should fill the window)
+    urlState: false, // Read ?seed, ?theme, ?distribution and ?topology from the URL and keep the camera view in its hash
+    storageKey: null, // localStorage key the settings panel saves to and loads from; null: no Save button
+    keyTarget: null // Element (or window) listening for the keyboard shortcuts; null: the canvas, once clicked
+};
+const NESTED_OPTIONS = ['capture', 'quality', 'motion', 'audio', 'import']; // Merged key by key instead of replaced
+const CREATION_OPTIONS = ['three', 'multiWindow', 'urlState', 'storageKey', 'keyTarget'];
+
+// What the settings panel edits. Fields marked `rebuild` change the structure of the galaxy,
+// so changing them tears the scene down and builds it again; the others apply on the next frame.
+const SETTINGS_FIELDS = [
+    { key: 'numPoints', label: 'Points', type: 'integer', min: 1000, max: 500000, step: 1000, rebuild: true },
+    { key: 'percentageAnimated', label: 'Animated share', type: 'number', min: 0, max: 1, step: 0.05, rebuild: true },
+    { key: 'connectionThreshold', label: 'Connection range', type: 'number', min: 0.1, max: 10, step: 0.1, rebuild: true },
+    { key: 'maxTotalConnections', label: 'Max hubs', type: 'integer', min: 1, max: 5000, step: 10, rebuild: true },
+    { key: 'targetConnections', label: 'Target hubs', type: 'integer', min: 0, max: 5000, step: 10 },
+    { key: 'fadeInDuration', label: 'Fade in (s)', type: 'number', min: 0.05, max: 10, step: 0.05 },
+    { key: 'fadeOutDuration', label: 'Fade out (s)', type: 'number', min: 0.05, max: 10, step: 0.05 },
+    {
+        key: 'theme', label: 'Theme', type: 'select',
+        get options() { // Read on use, so themes registered after loading are included
+            return Object.entries(THEMES).map(([name, definition]) => ({ value: name, label: definition.label }));
+        }
+    },
+    { key: 'backgroundColor', label: 'Background', type: 'color' },
+    { key: 'centerColor', label: 'Center color', type: 'color' },
+    { key: 'outerColor', label: 'Outer color', type: 'color' },
+    { key: 'useLineGradient', label: 'Gradient lines', type: 'checkbox' },
+    { key: 'lineColorFlat', label: 'Line color', type: 'color' },
+    { key: 'highlightColor', label: 'Highlight color', type: 'color' }
+];
+
+function copyOptions(options) {
+    const copy = Object.assign({}, options);
+    NESTED_OPTIONS.forEach(key => {
+        copy[key] = Object.assign({}, options[key]);
+    });
+    return copy;
+}
+
+// `options` merged into `target` (other than settings and config); throws on unknown options
+function mergeOptions(target, options) {
+    Object.entries(options).forEach(([key, value]) => {
+        if (key === 'settings' || key === 'config') return;
+        if (!(key in DEFAULT_OPTIONS)) {
+            throw new Error(`Unknown galaxy option "${key}" (available: ${Object.keys(DEFAULT_OPTIONS).join(', ')}, settings, config)`);
+        }
+        target[key] = NESTED_OPTIONS.includes(key) ? Object.assign({}, target[key], value) : value;
+    });
+    return target;
+}
+
+function checkTimeScale(scale) {
+    if (typeof scale !== 'number' || !(scale >= 0) || !Number.isFinite(scale)) {
+        throw new RangeError(`Time scale must be a number of 0 or more (got ${scale})`);
+    }
+}
+
+// Throws unless the distribution and topology of `options` exist and take their parameters;
+// with urlState, the ones named in the URL have to exist as well
+function checkSceneOptions(options) {
+    resolveDistributionParams(options.distribution, options.distributionParams);
+    createTopology(options.topology, options.topologyParams);
+    if (options.urlState) {
+        const params = new URLSearchParams(window.location.search);
+        if (params.get('distribution')) resolveDistributionParams(params.get('distribution'));
+        if (params.get('topology')) createTopology(params.get('topology'));
+        if (params.get('theme')) createTheme(params.get('theme'));
+    }
+}
+
+function checkQualityOptions({ adaptive, slowFrameTime, fastFrameTime }) {
+    if (adaptive !== null && typeof adaptive !== 'boolean') throw new TypeError(`quality.adaptive must be true, false or null (got ${JSON.stringify(adaptive)})`);
+    [['slowFrameTime', slowFrameTime], ['fastFrameTime', fastFrameTime]].forEach(([key, value]) => {
+        if (typeof value !== 'number' || !Number.isFinite(value) || !(value > 0)) {
+            throw new RangeError(`quality.${key} must be a number of milliseconds above 0 (got ${value})`);
+        }
+    });
+    if (!(fastFrameTime < slowFrameTime)) {
+        throw new RangeError(`quality.fastFrameTime (${fastFrameTime} ms) must be below slowFrameTime (${slowFrameTime} ms)`);
+    }
+}
+
+function checkReducedMotion(value) {
+    if (value !== null && typeof value !== 'boolean') {
+        throw new TypeError(`reducedMotion must be true, false or null (got ${JSON.stringify(value)})`);
+    }
+}
+
+function checkAudioOptions(audio) {
+    checkAudioSettings(audio);
+    AUDIO_TARGETS.forEach(name => checkMapping(name, audio[name], audio.bands));
+}
+
+// Checked copies of the `settings` and `config` option values: { settings, config }.
+// Unlike saved settings, which quietly fall back to the defaults, bad values here are errors.
+function checkSettingValues(settings = {}, config = {}) {
+    const checked = { settings: {}, config: {} };
+    [['settings', settings, DEFAULT_SETTINGS], ['config', config, DEFAULT_CONFIG]].forEach(([group, values, defaults]) => {
+        Object.entries(values).forEach(([key, value]) => {
+            const field = SETTINGS_FIELDS.find(f => f.key === key);
+            if (!field || !(key in defaults)) {
+                throw new Error(`Unknown ${group} key "${key}" (available: ${Object.keys(defaults).join(', ')})`);
+            }
+            if (value === null && field.type === 'color') {
+                checked[group][key] = null; // The theme's own color
+                return;
+            }
+            const sanitized = sanitizeValue(field, value);
+            if (sanitized === null) throw new TypeError(`Invalid value for ${group}.${key}: ${JSON.stringify(value)}`);
+            // The settings panel rounds and clamps what it is given; a caller's value has to fit as it is
+            if (sanitized !== value) {
+                throw new RangeError(`Invalid value for ${group}.${key}: ${value} (the nearest allowed value is ${sanitized})`);
+            }
+            checked[group][key] = sanitized;
+        });
+    });
+    return checked;
+}
+
+// Stand-in for the WindowManager when a galaxy has its container to itself: one "window"
+// covering the container, which plays the part of the screen (see screenSize())
+function createSingleView(container) {
+    return {
+        init() {},
+        update() {},
+        dispose() {},
+        setWindowsChangeCallback() {},
+        setShapeChangeCallback() {},
+        getWindows: () => [],
+        getThisWindowId: () => null,
+        getThisWindowShape: () => ({ x: 0, y: 0, w: Math.max(1, container.clientWidth), h: Math.max(1, container.clientHeight) })
+    };
+}
+
+// Builds a galaxy inside `container` and returns its controller:
+//   start()               run the frame loop
+//   stop()                pause it (the scene stays on the canvas)
+//   resize()              follow the container's size now (it is also followed on its own)
+//   setOptions(options)   change options, settings and config at runtime, rebuilding if needed
+//   pause() / resume()    stop and restart the simulation clock (the camera can still be moved)
+//   seek(time)            jump to `time` seconds of scene time
+//   setAudioSource(src)   drive the scene from 'microphone' or an audio file (null stops), see setAudioSource()
+//   getStats()            what the scene is doing, see getStats() below
+//   dispose()             remove the galaxy and free everything it holds
+export function createGalaxy(container, options = {}) {
+    if (!container || typeof container.appendChild !== 'function') {
+        throw new TypeError('createGalaxy needs a container element');
+    }
+
+    const OPTIONS = mergeOptions(copyOptions(DEFAULT_OPTIONS), options);
+    const t = OPTIONS.three || globalThis.THREE;
+    if (!t) throw new Error('three.js is missing: pass it as the `three` option, or load three.r124.min.js first');
+    checkTimeScale(OPTIONS.timeScale);
+    checkQualityOptions(OPTIONS.quality);
+    checkReducedMotion(OPTIONS.reducedMotion);
+    checkMotionOptions(OPTIONS.motion);
+    checkAudioOptions(OPTIONS.audio);
+    checkSceneOptions(OPTIONS);
+    const initialValues = checkSettingValues(options.settings, options.config);
+    const defaultSettings = Object.assign({}, DEFAULT_SETTINGS, initialValues.settings);
+    const defaultConfig = Object.assign({}, DEFAULT_CONFIG, initialValues.config);
+    const SETTINGS = Object.assign({}, defaultSettings);
+    const CONFIG = Object.assign({}, defaultConfig);
+    const containerPosition = container.style.position; // Inline position style to put back on dispose()
+
+    let camera, scene, renderer, points, connections; // `connections` is the segment pool all hubs draw into
+    let windowManager, windowLinks; // `windowLinks` is the segment pool for lines between windows
+    let controls, keyTarget; // Orbit / zoom / pan navigation, and where the keyboard shortcuts are listened for
+    let picker, highlight; // Hover / click picking and the overlay drawn over the hovered hub
+    let settingsPanel; // Runtime editor for SETTINGS and CONFIG, toggled with S
+    let capture; // Still and video capture (P, V)
+    let governor, qualityTier; // Adaptive quality: picks an entry of QUALITY_TIERS from the measured frame times
+    let statsOverlay, frameTimes; // Diagnostics overlay (D) and the recent live frame times behind getStats()
+    let audio; // Audio input of the audio-reactive mode (M, or a dropped audio file)
+    let audioDrive = { breathing: 1, pulse: 1, spawn: 1 }; // What the audio levels make of the AUDIO_TARGETS; 1 is no effect
+    let resizeObserver = null; // Follows the container's size (window resizes where ResizeObserver is missing)
+    let animationFrame = null; // Pending requestAnimationFrame() while the galaxy runs
+    let disposed = false;
+    let frameNumber = 0; // Frames stepped so far, for work that only runs every few frames
+    let hoveredHub = null; // { conn, hub, segments } under the pointer
+    let selectedPoint = -1; // Point the info overlay is pinned to
+    let autoRotate = true; // Toggled with the space bar
+    let breathing = true; // Toggled with B
+    let breathingTime = 0; // Clock of the breathing animation; stands still while breathing is paused
+    let reducedMotionQuery = null; // The prefers-reduced-motion media query, where the browser has matchMedia()
+    let motionReduced = false; // Rotation and breathing were turned off for reduced motion
+    let contextLost = false; // The WebGL context is gone until the browser restores it (see onContextLost())
+    let flow = null; // Flow-field motion, unless OPTIONS.motion.mode is 'breathing': { field, time, pendingTime, spare, inFlight }
+    let flowWorker = null; // Steps the flow off the main thread (flowWorker.js), started on first use
+    let flowWorkerFailed = false; // Workers can't be started here; the flow runs on the main thread
+    let flowGeneration = 0; // Bumped whenever the points move other than by the worker, so its results in flight are dropped
+    let lastFrameTime = 0; // performance.now() (in seconds) at the last live frame
+    let paused = false; // Simulation clock stopped by pause() (or K); see also OPTIONS.pauseWhenHidden
+    let cameraHashTimer = null;
+    let random, seed; // Seeded random source used for everything that shapes the scene
+    let seedGiven; // Whether the seed came from the options or the URL rather than being picked
+    let sceneTime = 0; // Seconds of scene time since the galaxy was built, advanced frame by frame
+    let spatialGrid; // Nearest-neighbour index over the rest positions of the points, or under a flow field where they were last wired
+    let topology; // How the points of a connection unit ("hub") are wired, see topologies.js
+    let pointConnectionCounts; // Live connections per point, capped at MAX_CONNECTIONS_PER_POINT
+    let gradientRadius = 6.0; // Distance at which points and lines reach the end of their gradients (set by the distribution)
+    let theme; // Current color theme (CONFIG.theme), see themes.js
+    let dataset = null; // Imported points shown instead of the generated galaxy (see datasets.js), or null
+    let seekBase = null; // Decoded snapshot the scene was loaded from, where backward seeks start again; null: the seed
+    let pointCount = 0; // Points in the current galaxy: SETTINGS.numPoints, or the size of the dataset
+    let messageElement, messageTimer; // Short status / error message at the bottom of the container
+    let pixR = window.devicePixelRatio ? window.devicePixelRatio : 1;
+    let nextConnectionUpdateTime = 0; // Next scheduled update time
+    let initialSetupDone = false;
+    let connectionStats = {
+        created: 0,
+        active: 0,
+        fadingIn: 0,
+        fadingOut: 0,
+        total: 0
+    };
+
+    // Connection states - we'll use this to track which connections are active, fading in, or fading out
+    let connectionStates = {
+        active: [], // Fully visible connections
+        fadingIn: [], // New connections that are becoming visible
+        fadingOut: [], // Old connections that are disappearing
+        pendingRemoval: [] // Connections ready to be removed
+    };
+
+    // Same lifecycle, but for the lines reaching from this window's cluster to the clusters of other windows
+    let windowLinkStates = {
+        active: [],
+        fadingIn: [],
+        fadingOut: [],
+        pendingRemoval: []
+    };
+
+    // Segments preallocated for hubs (the scheduler adds at most 20 hubs past the maximum)
+    function connectionCapacity() {
+        return (SETTINGS.maxTotalConnections + 20) * topology.maxLinks;
+    }
+
+    // Seconds since the scene was built; everything time-based (breathing, rotation, scheduler, fades) runs on this.
+    // Live it follows the wall clock times the time scale, and stands still while paused or hidden;
+    // while a video is recorded it advances by exactly one frame per frame.
+    function elapsedTime() {
+        return sceneTime;
+    }
+
+    function setupScene() {
+        seed = resolveSeed(OPTIONS.seed, OPTIONS.urlState); // Shown by getStats() and the diagnostics overlay
+        seedGiven = isSeedGiven(OPTIONS.seed, OPTIONS.urlState);
+
+        if (OPTIONS.urlState) {
+            CONFIG.theme = new URLSearchParams(window.location.search).get('theme') || CONFIG.theme;
+        }
+        theme = configuredTheme();
+
+        camera = new t.PerspectiveCamera(60, containerWidth() / containerHeight(), 0.1, 1000);
+        camera.position.z = CAMERA_DISTANCE;
+
+        scene = new t.Scene();
+        scene.background = new t.Color(theme.background);
+
+        // Overlays (settings, diagnostics, picking, messages) are positioned inside the container
+        if (getComputedStyle(container).position === 'static') container.style.position = 'relative';
+
+        // The renderer itself is created first thing, see the end of createGalaxy()
+        renderer.setPixelRatio(pixR);
+        renderer.setSize(containerWidth(), containerHeight());
+        renderer.domElement.style.display = 'block';
+        container.appendChild(renderer.domElement);
+        renderer.domElement.addEventListener('webglcontextlost', onContextLost);
+        renderer.domElement.addEventListener('webglcontextrestored', onContextRestored);
+
+        qualityTier = QUALITY_TIERS[0];
+        buildGalaxy();
+    }
+
+    // Everything that depends on SETTINGS: the points, the connection pools and the initial connections.
+    // The seed stays the same, so rebuilding with unchanged settings gives the same galaxy again.
+    // With a decoded snapshot ({ manifest, arrays }, see saveSnapshot()) the saved scene is rebuilt instead.
+    function buildGalaxy(snapshot = null) {
+        random = createRandom(seed);
+        sceneTime = 0;
+        lastFrameTime = performance.now() * 0.001;
+        breathingTime = 0;
+        nextConnectionUpdateTime = 0;
+        connectionStats = { created: 0, active: 0, fadingIn: 0, fadingOut: 0, total: 0 };
+
+        const numPoints = snapshot ? snapshot.manifest.pointCount : dataset ? dataset.count : SETTINGS.numPoints;
+        pointCount = numPoints;
+
+        // Generate points using the galaxy distribution, or take them from the imported dataset
+        const positions = new Float32Array(numPoints * 3);
+        const colors = new Float32Array(numPoints * 3);
+        const animatedFlags = new Float32Array(numPoints); // To mark which points will animate
+        const phases = new Float32Array(numPoints); // Breathing phase per point
+        const frequencies = new Float32Array(numPoints); // Breathing frequency per point
+
+        if (snapshot) {
+            // A saved scene: every attribute exactly as it was
+            positions.set(snapshot.arrays.positions);
+            colors.set(snapshot.arrays.colors);
+            animatedFlags.set(snapshot.arrays.animated);
+            phases.set(snapshot.arrays.phases);
+            frequencies.set(snapshot.arrays.frequencies);
+            gradientRadius = snapshot.manifest.gradientRadius;
+        } else {
+            let distribution = null;
+            if (dataset) {
+                positions.set(dataset.positions);
+                gradientRadius = dataset.radius || 1;
+            } else {
+                // Pick the point generator; the configured parameter overrides only apply to the configured generator
+                const urlDistribution = OPTIONS.urlState ? new URLSearchParams(window.location.search).get('distribution') : null;
+                const distributionName = urlDistribution || OPTIONS.distribution;
+                const distributionParams = distributionName === OPTIONS.distribution ? OPTIONS.distributionParams : {};
+                distribution = createDistribution(distributionName, random, distributionParams);
+                gradientRadius = distribution.gradientRadius;
+            }
+
+            // Create point positions
+            for (let i = 0; i < numPoints; i++) {
+                if (distribution) {
+                    const [x, y, z] = distribution.point();
+                    positions[i * 3] = x;
+                    positions[i * 3 + 1] = y;
+                    positions[i * 3 + 2] = z;
+                }
+
+                // Randomly select points to be animated
+                animatedFlags[i] = random() < SETTINGS.percentageAnimated ? 1.0 : 0.0;
+
+                // Different frequencies and phases for variety
+                phases[i] = i * 0.0001;
+                frequencies[i] = 0.5 + 0.5 * (i % 5) * 0.1;
+            }
+            fillPointColors(colors, positions);
+        }
+
+        const geometry = new t.BufferGeometry();
+        geometry.setAttribute('position', new t.BufferAttribute(positions.slice(), 3));
+        geometry.setAttribute('color', new t.BufferAttribute(colors, 3));
+        geometry.setAttribute('animated', new t.BufferAttribute(animatedFlags, 1)); // Store animated flag
+        geometry.setAttribute('phase', new t.BufferAttribute(phases, 1));
+        geometry.setAttribute('frequency', new t.BufferAttribute(frequencies, 1));
+
+        // The breathing happens in the vertex shader, so the position buffer holds the rest positions;
+        // only a flow field (applyMotion()) moves the points through it, away from these
+        geometry.userData = {
+            originalPositions: positions
+        };
+
+        geometry.computeBoundingSphere();
+        geometry.userData.restBoundingSphere = geometry.boundingSphere.clone();
+        padBoundingSphere(geometry);
+
+        // Shader point material with size attenuation and vertex colors
+        const material = createPointsMaterial({
+            three: t,
+            size: 0.03,
+            opacity: 1.0,
+            blending: t[BLENDING[theme.blending]]
+        });
+
+        points = new t.Points(geometry, material);
+        scene.add(points);
+
+        // Preallocated segment pools for the hubs and for the lines to other windows
+        topology = snapshot ? snapshotTopology(snapshot.manifest) : configuredTopology();
+        connections = new ConnectionPool(connectionCapacity(), { three: t, blending: t[BLENDING[theme.blending]] });
+        scene.add(connections.lines);
+        windowLinks = new ConnectionPool(WINDOW_LINK_LINES * MAX_LINKED_WINDOWS, { three: t, blending: t[BLENDING[theme.blending]] });
+        scene.add(windowLinks.lines);
+
+        // Index the points for nearest-neighbour lookups, then connect them
+        spatialGrid = new SpatialGrid(geometry.userData.originalPositions, SETTINGS.connectionThreshold / 4);
+        applyMotion(snapshot && snapshot.arrays.flowPositions ?
+            { positions: snapshot.arrays.flowPositions, time: snapshot.manifest.flowTime } : null);
+        pointConnectionCounts = new Uint8Array(numPoints);
+        if (snapshot) {
+            restoreSimulation(snapshot);
+        } else {
+            createInitialConnections(positions);
+        }
+    }
+
+    // The topology the options ask for; the parameter overrides only apply to the configured topology
+    function configuredTopology() {
+        const urlTopology = OPTIONS.urlState ? new URLSearchParams(window.location.search).get('topology') : null;
+        const name = urlTopology || OPTIONS.topology;
+        return createTopology(name, name === OPTIONS.topology ? OPTIONS.topologyParams : {});
+    }
+
+    // Free everything buildGalaxy() and setupPicking() created; the camera, renderer and window registry stay
+    function disposeGalaxy() {
+        picker.dispose();
+        [highlight.lines, highlight.markers].forEach(object => {
+            object.geometry.dispose();
+            object.material.dispose();
+        });
+
+        scene.remove(points);
+        points.geometry.dispose();
+        points.material.dispose();
+        connections.dispose(); // Takes the highlight along, it is a child of the lines
+        windowLinks.dispose();
+
+        connectionStates = { active: [], fadingIn: [], fadingOut: [], pendingRemoval: [] };
+        windowLinkStates = { active: [], fadingIn: [], fadingOut: [], pendingRemoval: [] };
+        flow = null;
+        hoveredHub = null;
+        selectedPoint = -1;
+        initialSetupDone = false;
+        renderer.domElement.style.cursor = '';
+    }
+
+    // Grow the points' bounding sphere (for frustum culling) from the rest positions to everywhere the breathing
+    // takes them: breathingScale() ranges over 0.9 -/+ 0.2 times the amplitude, which the audio mapping can
+    // push to its largest `min` or `max`. Scaling moves a point by (scale - 1) times its position, so an
+    // off-center sphere grows by that much of its center too.
+    function padBoundingSphere(geometry) {
+        const rest = geometry.userData.restBoundingSphere;
+        const mapping = OPTIONS.audio.breathing;
+        const amplitude = Math.max(1, Math.abs(mapping.min), Math.abs(mapping.max));
+        const largest = 0.9 + 0.2 * amplitude;
+        const smallest = 0.9 - 0.2 * amplitude;
+        geometry.boundingSphere.center.copy(rest.center);
+        geometry.boundingSphere.radius = rest.radius * largest + rest.center.length() * Math.max(largest - 1, 1 - smallest);
+    }
+
+    // Apply structural setting changes: tear the galaxy down and build it again in place
+    // (or, given a decoded snapshot, replace it with the saved scene)
+    function rebuildGalaxy(snapshot = null) {
+        if (!snapshot) seekBase = null; // A new galaxy from the seed
+        const rotation = snapshot ? new t.Euler().fromArray(snapshot.manifest.rotation) : points.rotation.clone();
+        if (!adaptiveQuality()) governor.reset(); // Build a given seed's graph at full quality
+        disposeGalaxy();
+        theme = configuredTheme();
+        scene.background.set(theme.background);
+        buildGalaxy(snapshot);
+        setupPicking();
+
+        points.rotation.copy(rotation);
+        updateClusterPosition();
+        applyQualityTier();
+        syncWindowLinks(windowManager.getWindows());
+    }
+
+    // Point colors follow the theme's point gradient with the distance from the center.
+    // Datasets bring their own colors, or a column of values to place on the gradient instead.
+    function fillPointColors(colors, positions) {
+        if (dataset && dataset.colors && !dataset.values) {
+            colors.set(dataset.colors);
+            return;
+        }
+
+        const color = {};
+        for (let i = 0; i < colors.length / 3; i++) {
+            if (dataset && dataset.values) {
+                theme.pointColor(dataset.values[i], color);
+            } else {
+                const x = positions[i * 3];
+                const y = positions[i * 3 + 1];
+                const z = positions[i * 3 + 2];
+                const dist = Math.sqrt(x*x + y*y + z*z);
+                theme.pointColor(Math.min(dist / gradientRadius, 1.0), color); // Normalize distance for color mixing
+            }
+
+            colors[i * 3] = color.r;
+            colors[i * 3 + 1] = color.g;
+            colors[i * 3 + 2] = color.b;
+        }
+    }
+
+    // Apply the current theme (CONFIG) to everything already on screen, without touching positions or connections
+    function recolor() {
+        theme = configuredTheme();
+        scene.background.set(theme.background);
+        [points.material, connections.material, windowLinks.material].forEach(material => {
+            material.blending = t[BLENDING[theme.blending]];
+            material.needsUpdate = true;
+        });
+
+        const colorAttribute = points.geometry.attributes.color;
+        fillPointColors(colorAttribute.array, points.geometry.userData.originalPositions);
+        colorAttribute.needsUpdate = true;
+
+        const originalPositions = points.geometry.userData.originalPositions;
+        Object.values(connectionStates).forEach(list => list.forEach(conn => {
+            let s = 0;
+            conn.hubs.forEach(hub => {
+                setHubColors(conn.segments.slice(s, s + hub.links.length), hub, originalPositions);
+                s += hub.links.length;
+            });
+        }));
+        Object.values(windowLinkStates).forEach(list => list.forEach(link => setWindowLinkColors(link.segments)));
+
+        highlight.lines.material.color.set(theme.highlightColor);
+        highlight.markers.material.color.set(theme.highlightColor);
+    }
+
+    // Saved settings override the defaults; anything missing or invalid keeps its default
+    function loadSettings() {
+        if (!OPTIONS.storageKey) return;
+
+        let saved = null;
+        try {
+            saved = JSON.parse(localStorage.getItem(OPTIONS.storageKey));
+        } catch (error) {
+            console.warn('Ignoring unreadable saved settings', error);
+        }
+        if (saved && typeof saved === 'object') applySavedValues(saved);
+    }
+
+    // Copy the valid values of saved { settings, config } into SETTINGS and CONFIG
+    function applySavedValues(saved) {
+        SETTINGS_FIELDS.forEach(field => {
+            const target = field.key in SETTINGS ? SETTINGS : CONFIG;
+            const source = target === SETTINGS ? saved.settings : saved.config;
+            if (!source || !(field.key in source)) return;
+
+            const value = sanitizeValue(field, source[field.key]);
+            if (value !== null) target[field.key] = value;
+            else if (field.type === 'color' && source[field.key] === null) target[field.key] = null; // The theme's own
+        });
+    }
+
+    // The CONFIG theme with the CONFIG colors over its own
+    function configuredTheme() {
+        const overrides = {};
+        Object.entries(THEME_COLORS).forEach(([key, themeKey]) => {
+            overrides[themeKey] = CONFIG[key];
+        });
+        return createTheme(CONFIG.theme, overrides);
+    }
+
+    // What the settings panel shows: the colors as they are, the theme's where CONFIG has none
+    function panelValues() {
+        const values = Object.assign({}, SETTINGS, CONFIG);
+        Object.entries(THEME_COLORS).forEach(([key, themeKey]) => {
+            values[key] = theme.colors[themeKey];
+        });
+        return values;
+    }
+
+    function saveSettings() {
+        try {
+            localStorage.setItem(OPTIONS.storageKey, JSON.stringify({ settings: SETTINGS, config: CONFIG }));
+            settingsPanel.setStatus('Saved');
+        } catch (error) {
+            // Storage may be full or disabled (private browsing)
+            console.warn('Could not save settings', error);
+            settingsPanel.setStatus('Could not save');
+        }
+    }
+
+    // Back to the defaults this galaxy was created with, and forget the saved settings
+    function resetSettings() {
+        if (OPTIONS.storageKey) localStorage.removeItem(OPTIONS.storageKey);
+        const needsRebuild = SETTINGS_FIELDS.some(field => field.rebuild && SETTINGS[field.key] !== defaultSettings[field.key]);
+
+        Object.assign(SETTINGS, defaultSettings);
+        Object.assign(CONFIG, defaultConfig);
+        needsRebuild ? rebuildGalaxy() : recolor();
+        settingsPanel.setValues(panelValues());
+        settingsPanel.setStatus('Defaults restored');
+    }
+
+    function setupSettingsPanel() {
+        settingsPanel = new SettingsPanel(container, SETTINGS_FIELDS, {
+            values: panelValues(),
+            onChange: applySetting,
+            onSave: OPTIONS.storageKey ? saveSettings : null,
+            onReset: resetSettings
+        });
+    }
+
+    function applySetting(key, value) {
+        const field = SETTINGS_FIELDS.find(f => f.key === key);
+        const target = key in SETTINGS ? SETTINGS : CONFIG;
+        if (target[key] === value) return;
+
+        target[key] = value;
+        settingsPanel.setStatus('');
+        if (field.rebuild) {
+            rebuildGalaxy();
+        } else if (target === CONFIG) {
+            if (key === 'theme') Object.keys(THEME_COLORS).forEach(color => { CONFIG[color] = null; }); // The new theme's own colors
+            recolor();
+            settingsPanel.setValues(panelValues());
+        }
+        // Connection budgets and fade timings are read every frame
+    }
+
+    // With multiWindow, the windows of the app share one screen-wide camera and see each other's
+    // clusters through the WindowManager; otherwise the container is the whole "screen" (see createSingleView())
+    function setupWindowManager() {
+        windowManager = OPTIONS.multiWindow ? new WindowManager() : createSingleView(container);
+        windowManager.setShapeChangeCallback(() => {
+            updateViewOffset();
+            updateClusterPosition();
+        });
+        windowManager.setWindowsChangeCallback(syncWindowLinks);
+        windowManager.init();
+        updateClusterPosition();
+    }
+
+    function setupControls() {
+        // Without a keyTarget the canvas takes the keys once it has been clicked, so galaxies side by side don't all react
+        keyTarget = OPTIONS.keyTarget || renderer.domElement;
+        if (keyTarget === renderer.domElement) {
+            renderer.domElement.tabIndex = 0;
+            renderer.domElement.style.outline = 'none';
+        }
+
+        controls = new CameraControls(camera, renderer.domElement, {
+            three: t,
+            keyTarget: keyTarget,
+            onChange: OPTIONS.urlState ? scheduleCameraHashWrite : null
+        });
+        keyTarget.addEventListener('keydown', onShortcutKey);
+
+        if (OPTIONS.urlState) {
+            readCameraFromHash();
+            window.addEventListener('hashchange', readCameraFromHash);
+        }
+    }
+
+    // Playback shortcuts; camera movement keys are handled by CameraControls
+    function onShortcutKey(event) {
+        if (event.ctrlKey || event.metaKey || event.altKey) return;
+        if (event.target && /^(INPUT|TEXTAREA|SELECT)$/.test(event.target.tagName)) return;
+
+        switch (event.key) {
+            case ' ':
+                autoRotate = !autoRotate;
+                break;
+            case 'b':
+            case 'B':
+                breathing = !breathing;
+                break;
+            case 'r':
+            case 'R':
+                controls.reset();
+                break;
+            case 'c':
+            case 'C':
+                // Fly into the core of this window's cluster
+                controls.flyTo(points.position.clone(), CORE_VIEW_DISTANCE);
+                break;
+            case 's':
+            case 'S':
+                settingsPanel.toggle();
+                break;
+            case 'p':
+            case 'P':
+                captureStill();
+                break;
+            case 'v':
+            case 'V':
+                toggleRecording();
+                break;
+            case 'e':
+            case 'E':
+                exportSnapshot();
+                break;
+            case 'd':
+            case 'D':
+                statsOverlay.toggle();
+                break;
+            case 'k':
+            case 'K':
+                paused ? resume() : pause();
+                showMessage(paused ? 'Paused (K to resume)' : 'Resumed');
+                break;
+            case 'm':
+            case 'M':
+                if (audio.listening) {
+                    setAudioSource(null);
+                    showMessage('Audio off');
+                } else {
+                    listenTo('microphone', 'the microphone');
+                }
+                break;
+            case '[':
+            case ']':
+                OPTIONS.timeScale = Math.min(64, Math.max(1 / 64, OPTIONS.timeScale * (event.key === ']' ? 2 : 0.5)));
+                showMessage(`Time scale ${OPTIONS.timeScale}x`);
+                break;
+            case 'g':
+            case 'G':
+                // Back from an imported dataset to the generated galaxy
+                if (dataset) {
+                    dataset = null;
+                    rebuildGalaxy();
+                    showMessage('Showing the generated galaxy');
+                }
+                break;
+            default:
+                return;
+        }
+        event.preventDefault();
+    }
+
+    function setupPicking() {
+        highlight = createHighlight();
+        // Children of the connection lines, so they share their rotation
+        connections.lines.add(highlight.lines, highlight.markers);
+
+        picker = new Picker(camera, renderer.domElement, {
+            three: t,
+            points: points,
+            lines: connections.lines,
+            positionOf: pointPosition,
+            pointsNearRay: forEachPointNearRay,
+            isSegmentLive: segment => connections.alphas[segment * 2] > 0,
+            onHover: hit => {
+                hoveredHub = hubForHit(hit);
+                renderer.domElement.style.cursor = hoveredHub ? 'pointer' : '';
+            },
+            onSelect: hit => {
+                if (!hit) {
+                    selectedPoint = -1;
+                    picker.unpin();
+                    return;
+                }
+                // A click on a link selects its hub's start point
+                selectedPoint = hit.type === 'point' ? hit.index : hubForHit(hit).hub.hub;
+                picker.pin(describePoint(selectedPoint), pointPosition(selectedPoint, new t.Vector3()));
+            }
+        });
+    }
+
+    function setupCapture() {
+        capture = new Capture(renderer, scene, camera, {
+            three: t,
+            // Recordings follow the time scale (slow motion, time lapse) but not pausing
+            step: dt => step(dt * OPTIONS.timeScale, dt),
+            onPixelRatio: ratio => setPointScale(points.material, screenSize().height, ratio)
+        });
+    }
+
+    function captureStill() {
+        const { stillWidth, stillHeight } = OPTIONS.capture;
+        capture.still(stillWidth, stillHeight)
+            .then(blob => download(blob, `galaxy-${seed}-${stillWidth}x${stillHeight}.png`))
+            .catch(error => console.error('Still capture failed', error));
+    }
+
+    // The governor watches the frame times and picks the quality tier; changes are also announced
+    // to the page as a QUALITY_EVENT on the container, bubbling up to window (detail: { tier, previous, frameTime, settings })
+    function setupQuality() {
+        const { slowFrameTime, fastFrameTime } = OPTIONS.quality;
+        governor = new QualityGovernor(QUALITY_TIERS.length, { slowFrameTime: slowFrameTime, fastFrameTime: fastFrameTime });
+        governor.addEventListener('change', event => {
+            const detail = event.detail;
+            qualityTier = QUALITY_TIERS[detail.tier];
+            applyQualityTier();
+            container.dispatchEvent(new CustomEvent(QUALITY_EVENT, { bubbles: true, detail: Object.assign({ settings: qualityTier }, detail) }));
+        });
+    }
+
+    // The tiers draw fewer points and hubs, so a given seed stays at full quality unless quality.adaptive says otherwise
+    function adaptiveQuality() {
+        return OPTIONS.quality.adaptive === null ? !seedGiven : OPTIONS.quality.adaptive;
+    }
+
+    // Resolution and point count of the current quality tier; the other two knobs are read every frame
+    function applyQualityTier() {
+        renderer.setPixelRatio(pixR * qualityTier.pixelScale);
+        setPointScale(points.material, screenSize().height, renderer.getPixelRatio());
+        points.geometry.setDrawRange(0, drawnPointCount());
+    }
+
+    // A hub budget setting scaled down for the current quality tier
+    function hubBudget(setting) {
+        return Math.round(setting * qualityTier.connections);
+    }
+
+    // Points drawn at the current quality tier. These are the first ones: generated points come in
+    // random order, so they thin out evenly (an imported dataset keeps the order of its file).
+    function drawnPointCount() {
+        return Math.max(1, Math.floor(pointCount * qualityTier.points));
+    }
+
+    function setupStats() {
+        frameTimes = new FrameTimes();
+        statsOverlay = new StatsOverlay(container, { getStats: getStats });
+    }
+
+    // Snapshot of what the scene is doing, for the diagnostics overlay (D) and for scripts (the
+    // controller's getStats()). Hub counts are per lifecycle state; the render numbers are those
+    // of the last frame drawn; frame times cover the last few seconds of live frames.
+    function getStats() {
+        let objects = 0;
+        scene.traverse(() => objects++);
+        const info = renderer.info;
+
+        return {
+            webgl: true,
+            contextLost: contextLost,
+            seed: seed,
+            time: sceneTime,
+            timeScale: OPTIONS.timeScale,
+            paused: paused,
+            hubs: {
+                active: connectionStats.active,
+                fadingIn: connectionStats.fadingIn,
+                fadingOut: connectionStats.fadingOut,
+                pendingRemoval: connectionStates.pendingRemoval.reduce((sum, conn) => sum + (conn.hubsCount || 0), 0),
+                total: connectionStats.total,
+                created: connectionStats.created,
+                target: hubBudget(SETTINGS.targetConnections),
+                max: hubBudget(SETTINGS.maxTotalConnections)
+            },
+            topology: topology.name,
+            motion: { mode: OPTIONS.motion.mode, worker: flowWorker !== null },
+            segments: { used: connections.used, capacity: connections.capacity },
+            windowLinks: windowLinks.used,
+            points: { count: pointCount, drawn: drawnPointCount() },
+            quality: { tier: governor.tier, adaptive: adaptiveQuality() },
+            scene: { objects: objects, geometries: info.memory.geometries, textures: info.memory.textures },
+            render: {
+                calls: info.render.calls,
+                triangles: info.render.triangles,
+                points: info.render.points,
+                lines: info.render.lines
+            },
+            frameTime: frameTimes.percentiles(),
+            audio: audio.listening ?
+                { source: audio.sourceName, levels: Object.assign({}, audio.levels), drive: Object.assign({}, audioDrive) } :
+                null
+        };
+    }
+
+    function setupAudio() {
+        audio = new AudioReactive(OPTIONS.audio);
+    }
+
+    // Drive breathing, connection pulses and the spawn rate from `source`: 'microphone', an audio
+    // File, Blob or ArrayBuffer (played in a loop), or null to stop. Resolves once the audio runs;
+    // rejects when the browser can't decode the file or isn't allowed to use the microphone.
+    async function setAudioSource(source) {
+        if (disposed) throw new Error('This galaxy has been disposed');
+        if (source === null) {
+            audio.stop();
+        } else if (source === 'microphone') {
+            await audio.useMicrophone();
+        } else if (source instanceof Blob || source instanceof ArrayBuffer) {
+            await audio.useFile(source);
+        } else {
+            throw new TypeError(`Audio source must be 'microphone', a File, Blob or ArrayBuffer, or null (got ${source})`);
+        }
+    }
+
+    // setAudioSource() for the keyboard and dropped files, with the outcome as a message
+    function listenTo(source, label) {
+        setAudioSource(source)
+            .then(() => showMessage(`Listening to ${label} (M to stop)`))
+            .catch(error => {
+                console.error(`Could not listen to ${label}`, error);
+                showMessage(`Could not listen to ${label}: ${error.message}`);
+            });
+    }
+
+    // Advance the audio levels by dt seconds of wall-clock time and map them onto audioDrive
+    function updateAudio(dt) {
+        const listening = audio.listening;
+        const levels = listening ? audio.update(dt) : null;
+        AUDIO_TARGETS.forEach(name => {
+            audioDrive[name] = listening ? mapLevel(levels, OPTIONS.audio[name]) : 1;
+        });
+    }
+
+    // V starts a recording with OPTIONS.capture, and stops it early when pressed again
+    function toggleRecording() {
+        if (capture.recording) {
+            capture.stop();
+            return;
+        }
+        // Videos are rendered at full quality; their frames take as long as they take
+        governor.reset();
+
+        const options = OPTIONS.capture;
+        const name = `galaxy-${seed}-${options.fps}fps`;
+        showMessage(`Recording ${options.duration}s at ${options.fps} fps as ${options.format} (press V to stop early)`);
+        capture.record({
+            fps: options.fps,
+            duration: options.duration,
+            format: options.format,
+            onFrame: (blob, index) => {
+                if (!disposed) download(blob, `${name}-${String(index).padStart(5, '0')}.png`);
+            }
+        })
+            // dispose() stops the recording; nothing of it is saved or reported after that
+            .then(result => {
+                if (disposed) return;
+                if (options.format === 'webm') download(result, `${name}.webm`);
+                showMessage('Recording finished');
+            })
+            .catch(error => {
+                if (disposed) return;
+                console.error('Recording failed', error);
+                showMessage(`Recording failed: ${error.message}`);
+            });
+    }
+
+    // Dropping a CSV, PLY or JSON file onto the window shows its points instead of the generated galaxy;
+    // dropping a snapshot restores it, dropping an audio file plays it and makes the scene follow it
+    function setupDatasetDrop() {
+        const element = renderer.domElement;
+        element.addEventListener('dragover', onDragOver);
+        element.addEventListener('drop', onDrop);
+    }
+
+    function onDragOver(event) {
+        event.preventDefault();
+        event.dataTransfer.dropEffect = 'copy';
+    }
+
+    function onDrop(event) {
+        event.preventDefault();
+        const file = event.dataTransfer.files[0];
+        if (file) importFile(file);
+    }
+
+    // Snapshots (see saveSnapshot()) restore the saved scene, audio files drive it, anything else is read as a dataset
+    function importFile(file) {
+        if (file.type.startsWith('audio/') || AUDIO_FILE_PATTERN.test(file.name)) {
+            listenTo(file, `"${file.name}"`);
+            return;
+        }
+
+        const options = OPTIONS.import;
+        file.arrayBuffer()
+            .then(buffer => {
+                if (isSnapshot(buffer)) {
+                    loadSnapshot(buffer);
+                    showMessage(`Restored "${file.name}"`);
+                    return;
+                }
+
+                dataset = loadDataset(file.name, buffer, {
+                    center: options.center,
+                    fitRadius: options.fit ? framingRadius() : null,
+                    colorColumn: options.colorColumn
+                });
+                rebuildGalaxy();
+                showMessage(`Loaded ${dataset.count} points from "${file.name}" (press G for the generated galaxy)`);
+            })
+            .catch(error => {
+                console.error(`Could not load "${file.name}"`, error);
+                showMessage(`Could not load "${file.name}": ${error.message}`);
+            });
+    }
+
+    // Everything needed to resume the scene exactly where it is: the points, every connection group with
+    // its hubs and lifecycle state, settings, camera, clocks and the position in the random sequence.
+    // Returns the encoded snapshot (see snapshot.js).
+    function saveSnapshot() {
+        const attributes = points.geometry.attributes;
+        advanceFlow(true); // Bring the drifting points up to the flow time being saved
+        const groups = []; // Per group: state code, start time, number of hubs
+        const hubs = []; // Per hub: start point, number of links, then both points of every link
+        const hubOffsets = []; // Per hub: offset of the link ends at its start point
+        CONNECTION_STATE_NAMES.forEach((stateName, stateCode) => {
+            connectionStates[stateName].forEach(conn => {
+                groups.push(stateCode, conn.startTime, conn.hubs.length);
+                conn.hubs.forEach(hub => {
+                    hubs.push(hub.hub, hub.links.length, ...hub.links.flat());
+                    hubOffsets.push(...hub.offset);
+                });
+            });
+        });
+
+        const manifest = {
+            format: SNAPSHOT_FORMAT,
+            seed: seed,
+            pointCount: pointCount,
+            gradientRadius: gradientRadius,
+            topology: { name: topology.name, params: topology.params },
+            motion: OPTIONS.motion,
+            flowTime: flow ? flow.time : 0,
+            settings: SETTINGS,
+            config: CONFIG,
+            camera: controls.getState(),
+            rotation: [points.rotation.x, points.rotation.y, points.rotation.z],
+            clock: { sceneTime: sceneTime, breathingTime: breathingTime, nextConnectionUpdateTime: nextConnectionUpdateTime },
+            playback: { autoRotate: autoRotate, breathing: breathing },
+            randomState: random.getState(),
+            connectionsCreated: connectionStats.created,
+            dataset: dataset ? { radius: dataset.radius } : null // The points came from an imported file
+        };
+        const arrays = {
+            positions: points.geometry.userData.originalPositions,
+            colors: attributes.color.array,
+            animated: Uint8Array.from(attributes.animated.array),
+            phases: attributes.phase.array,
+            frequencies: attributes.frequency.array,
+            groups: new Float64Array(groups),
+            hubs: new Int32Array(hubs),
+            hubOffsets: new Float32Array(hubOffsets)
+        };
+        if (flow) arrays.flowPositions = attributes.position.array; // Where the flow has taken the points
+        if (dataset && dataset.colors) arrays.datasetColors = dataset.colors;
+        if (dataset && dataset.values) arrays.datasetValues = dataset.values;
+
+        return encodeSnapshot(manifest, arrays);
+    }
+
+    function exportSnapshot() {
+        download(new Blob([saveSnapshot()], { type: 'application/octet-stream' }), `galaxy-${seed}-${sceneTime.toFixed(1)}s.galaxy`);
+    }
+
+    // Throws if a decoded snapshot can't be restored, before anything in the scene is touched
+    function checkSnapshot({ manifest, arrays }) {
+        if (!manifest || typeof manifest !== 'object') throw new Error('Snapshot has no manifest');
+        if (!(manifest.format >= 1 && manifest.format <= SNAPSHOT_FORMAT)) {
+            throw new Error(`Snapshot scene format ${manifest.format} is not supported (this version reads up to ${SNAPSHOT_FORMAT})`);
+        }
+
+        const count = manifest.pointCount;
+        if (!Number.isInteger(count) || count <= 0) throw new Error('Snapshot has no points');
+        const lengths = { positions: count * 3, colors: count * 3, animated: count, phases: count, frequencies: count };
+        Object.entries(lengths).forEach(([name, length]) => {
+            if (!arrays[name] || arrays[name].length !== length) throw new Error(`Snapshot array "${name}" is missing or has the wrong length`);
+        });
+        ['groups', 'hubs', 'hubOffsets'].forEach(name => {
+            if (!arrays[name]) throw new Error(`Snapshot array "${name}" is missing`);
+        });
+
+        // Walk the connection graph once to be sure every index is in range
+        readSnapshotGroups({ manifest: manifest, arrays: arrays });
+        snapshotTopology(manifest);
+        if (manifest.motion) checkMotionOptions(Object.assign({}, OPTIONS.motion, manifest.motion));
+        if (arrays.flowPositions && (arrays.flowPositions.length !== count * 3 || !Number.isFinite(manifest.flowTime))) {
+            throw new Error('Snapshot flow positions do not match the points');
+        }
+
+        ['sceneTime', 'breathingTime', 'nextConnectionUpdateTime'].forEach(name => {
+            if (!manifest.clock || !Number.isFinite(manifest.clock[name])) throw new Error(`Snapshot clock "${name}" is missing`);
+        });
+        if (!Number.isFinite(manifest.gradientRadius) || !Number.isFinite(manifest.randomState) || !Number.isFinite(manifest.seed)) {
+            throw new Error('Snapshot manifest is incomplete');
+        }
+    }
+
+    // The connection groups of a decoded snapshot as [{ state, startTime, hubs }], with every point index checked.
+    // Format 1 only knew hubs with spokes, stored as: hub point, number of spokes, spoke points...
+    function readSnapshotGroups({ manifest, arrays }) {
+        const count = manifest.pointCount;
+        const valuesPerLink = manifest.format === 1 ? 1 : 2;
+        const groups = [];
+        let h = 0;
+        let hubNumber = 0;
+        for (let g = 0; g < arrays.groups.length; g += 3) {
+            const state = CONNECTION_STATE_NAMES[arrays.groups[g]];
+            if (!state) throw new Error(`Snapshot connection group ${g / 3} has an unknown state`);
+
+            const hubs = [];
+            for (let k = 0; k < arrays.groups[g + 2]; k++, hubNumber++) {
+                const hub = arrays.hubs[h];
+                const linkCount = arrays.hubs[h + 1];
+                const values = arrays.hubs.subarray(h + 2, h + 2 + linkCount * valuesPerLink);
+                if (!(linkCount > 0) || values.length !== linkCount * valuesPerLink ||
+                    [hub, ...values].some(index => !(index >= 0 && index < count))) {
+                    throw new Error(`Snapshot connection group ${g / 3} has an invalid hub`);
+                }
+                if (arrays.hubOffsets.length < hubNumber * 3 + 3) throw new Error('Snapshot hub offsets do not match the hubs');
+
+                const links = [];
+                for (let i = 0; i < linkCount; i++) {
+                    links.push(valuesPerLink === 1 ? [hub, values[i]] : [values[i * 2], values[i * 2 + 1]]);
+                }
+                hubs.push({ hub: hub, links: links, offset: Array.from(arrays.hubOffsets.subarray(hubNumber * 3, hubNumber * 3 + 3)) });
+                h += 2 + values.length;
+            }
+            groups.push({ state: state, startTime: arrays.groups[g + 1], hubs: hubs });
+        }
+        if (arrays.hubOffsets.length !== hubNumber * 3) throw new Error('Snapshot hub offsets do not match the hubs');
+        return groups;
+    }
+
+    // The topology a snapshot was saved with (format 1 files always had hubs with three spokes)
+    function snapshotTopology(manifest) {
+        const saved = manifest.topology || { name: 'hubs', params: { spokes: 3 } };
+        return createTopology(saved.name, saved.params);
+    }
+
+    // Replace the scene with a snapshot made by saveSnapshot(). Some problems only show while the
+    // galaxy is rebuilt from it; then the scene as it was comes back and the error is thrown on.
+    function loadSnapshot(buffer) {
+        const snapshot = decodeSnapshot(buffer);
+        checkSnapshot(snapshot);
+        const { manifest, arrays } = snapshot;
+
+        const previous = {
+            snapshot: decodeSnapshot(saveSnapshot()),
+            motion: Object.assign({}, OPTIONS.motion),
+            settings: Object.assign({}, SETTINGS),
+            config: Object.assign({}, CONFIG),
+            seed: seed,
+            seedGiven: seedGiven,
+            dataset: dataset,
+            seekBase: seekBase
+        };
+        applySavedValues(manifest);
+        if (manifest.motion) Object.assign(OPTIONS.motion, manifest.motion);
+        seed = manifest.seed;
+        seedGiven = true; // The snapshot's graph goes on from its random state
+        dataset = manifest.dataset ? {
+            count: manifest.pointCount,
+            positions: arrays.positions,
+            colors: arrays.datasetColors || null,
+            values: arrays.datasetValues || null,
+            radius: manifest.dataset.radius
+        } : null;
+
+        try {
+            rebuildGalaxy(snapshot);
+        } catch (error) {
+            Object.assign(OPTIONS.motion, previous.motion);
+            Object.assign(SETTINGS, previous.settings);
+            Object.assign(CONFIG, previous.config);
+            seed = previous.seed;
+            seedGiven = previous.seedGiven;
+            dataset = previous.dataset;
+            rebuildGalaxy(previous.snapshot);
+            seekBase = previous.seekBase;
+            throw error;
+        }
+        seekBase = snapshot;
+        if (manifest.playback) {
+            autoRotate = manifest.playback.autoRotate !== false;
+            breathing = manifest.playback.breathing !== false;
+        }
+        applyReducedMotion(); // Reduced motion wins over the saved playback
+        if (manifest.camera) controls.setState(manifest.camera);
+        settingsPanel.setValues(panelValues());
+    }
+
+    // Second half of buildGalaxy() for snapshots: clocks, random sequence and the connection groups in their saved states
+    function restoreSimulation({ manifest, arrays }) {
+        random.setState(manifest.randomState);
+        sceneTime = manifest.clock.sceneTime;
+        breathingTime = manifest.clock.breathingTime;
+        nextConnectionUpdateTime = manifest.clock.nextConnectionUpdateTime;
+        connectionStats.created = manifest.connectionsCreated || 0;
+
+        const originalPositions = points.geometry.userData.originalPositions;
+        for (const { state, startTime, hubs } of readSnapshotGroups({ manifest: manifest, arrays: arrays })) {
+            const segments = connections.allocate(hubs.reduce((sum, hub) => sum + hub.links.length, 0));
+            if (!segments) {
+                console.warn('Snapshot has more connections than the connection pool holds; dropping the rest');
+                break;
+            }
+
+            let s = 0;
+            hubs.forEach(hub => {
+                setHubColors(segments.slice(s, s + hub.links.length), hub, originalPositions);
+                s += hub.links.length;
+                reserveConnectionSlots(hub);
+            });
+
+            // Alphas follow from the state and start time on the next frame, fades carry on where they were
+            connectionStates[state].push({
+                segments: segments,
+                state: state,
+                startTime: startTime,
+                hubsCount: hubs.length,
+                hubs: hubs
+            });
+        }
+        initialSetupDone = true;
+    }
+
+    // Radius around the cluster center that the camera currently shows in full in this window
+    function framingRadius() {
+        const shape = windowManager.getThisWindowShape();
+        const halfHeight = controls.getState().radius * Math.tan(t.MathUtils.degToRad(camera.fov / 2));
+        // The camera spans the whole screen; this window sees only its own part of it
+        return halfHeight * Math.min(shape.w, shape.h) / screenSize().height * 0.9;
+    }
+
+    function showMessage(text) {
+        if (!messageElement) {
+            messageElement = document.createElement('div');
+            Object.assign(messageElement.style, {
+                position: 'absolute',
+                left: '50%',
+                bottom: '20px',
+                transform: 'translateX(-50%)',
+                maxWidth: '80%',
+                padding: '6px 10px',
+                font: '12px/1.4 sans-serif',
+                color: '#e6fffb',
+                background: 'rgba(0, 0, 0, 0.8)',
+                border: '1px solid rgba(255, 255, 255, 0.25)',
+                borderRadius: '3px',
+                pointerEvents: 'none'
+            });
+            container.appendChild(messageElement);
+        }
+
+        messageElement.textContent = text;
+        messageElement.style.display = 'block';
+        clearTimeout(messageTimer);
+        messageTimer = setTimeout(() => {
+            messageElement.style.display = 'none';
+        }, MESSAGE_DURATION);
+    }
+
+    // Current (animated) position of point i in the points' local space
+    function pointPosition(i, target) {
+        const positions = basePositions();
+        const scale = breathingScale(i, breathingTime);
+        return target.set(positions[i * 3] * scale, positions[i * 3 + 1] * scale, positions[i * 3 + 2] * scale);
+    }
+
+    // Candidates for a hover or click on a point (Picker.js): calls visit(index) for every point that may be
+    // within `radius` of `ray` (both in the points' local space), looked up in the spatial grid instead of
+    // testing them all. The grid holds base positions (basePositions()). Breathing scales a point's distance
+    // from the center by a factor between sMin and sMax, so a point near the ray has its base position near
+    // the ray scaled down by one of those factors: the cells around a wedge are searched. Under a flow field
+    // a point has moved at most the flow's top speed times the flow time since the grid was made (points
+    // wrapping around the bounds in the meantime are missed until it is made again), and the grid is made
+    // again once that is more than a cell.
+    // Returns false when the breathing is too strong to bound; the picker then tests every point.
+    function forEachPointNearRay(ray, radius, visit) {
+        const amplitude = Math.abs(audioDrive.breathing);
+        const sMin = flow ? 1 : Math.min(1, 0.9 - 0.2 * amplitude); // No breathing under a flow field
+        const sMax = flow ? 1 : Math.max(1, 0.9 + 0.2 * amplitude);
+        if (sMin < 0.1) return false;
+        let drift = flow ? maxFlowSpeed(flow.field) * Math.max(0, flow.shownTime - flow.gridTime) : 0;
+        if (drift > spatialGrid.cellSize) {
+            // The points may have drifted too far for the grid to narrow them down much: index them again
+            connectionSearchPositions();
+            drift = 0;
+        }
+
+        // The stretch of the ray that passes through the points (none behind the camera)
+        const extent = [0, 1, 2].map(axis => Math.max(Math.abs(spatialGrid.min[axis]), Math.abs(spatialGrid.max[axis])));
+        const reach = sMax * Math.hypot(...extent) + drift + radius;
+        const middle = -ray.origin.dot(ray.direction);
+        const halfChordSq = reach * reach - (ray.origin.lengthSq() - middle * middle);
+        if (halfChordSq < 0) return true; // Misses them all
+        const start = Math.max(0, middle - Math.sqrt(halfChordSq));
+        const end = middle + Math.sqrt(halfChordSq);
+        if (end <= start) return true;
+
+        const at = distance => ray.at(distance, new t.Vector3()).toArray();
+        if (sMin === sMax) {
+            spatialGrid.forEachNearSegments([[at(start), at(end)]], radius + drift, visit);
+            return true;
+        }
+
+        // One segment from the ray scaled by 1 / sMax to the ray scaled by 1 / sMin every cell along it
+        const step = spatialGrid.cellSize;
+        const steps = Math.max(1, Math.ceil((end - start) / step));
+        const segments = [];
+        for (let i = 0; i <= steps; i++) {
+            const q = at(start + (end - start) * i / steps);
+            segments.push([q.map(v => v / sMax), q.map(v => v / sMin)]);
+        }
+        spatialGrid.forEachNearSegments(segments, (radius + step / 2) / sMin, visit);
+        return true;
+    }
+
+    // The live hub matching `match(hub, hubSegments)` as { conn, hub, segments }, or null
+    function findHub(match) {
+        const groups = connectionStates.active.concat(connectionStates.fadingIn, connectionStates.fadingOut);
+        for (const conn of groups) {
+            let s = 0;
+            for (const hub of conn.hubs) {
+                const hubSegments = conn.segments.slice(s, s + hub.links.length);
+                s += hub.links.length;
+                if (match(hub, hubSegments)) return { conn: conn, hub: hub, segments: hubSegments };
+            }
+        }
+        return null;
+    }
+
+    // The live hub point `index` belongs to, preferring one it is the start point of
+    function hubOfPoint(index) {
+        return findHub(hub => hub.hub === index) || findHub(hub => hub.links.some(link => link.includes(index)));
+    }
+
+    // Hub a pick result belongs to: the hub a segment is a link of, or the hub of a point
+    function hubForHit(hit) {
+        if (!hit) return null;
+        if (hit.type === 'segment') return findHub((hub, hubSegments) => hubSegments.includes(hit.segment));
+        return hubOfPoint(hit.index);
+    }
+
+    function describePoint(index) {
+        const position = pointPosition(index, new t.Vector3());
+        const animated = points.geometry.attributes.animated.array[index] > 0;
+        const found = hubOfPoint(index);
+        const connection = found ? `${found.conn.state} (${found.hub.hub === index ? 'hub' : 'linked'})` : 'none';
+
+        return [
+            `Point #${index}`,
+            `Distance from center: ${position.length().toFixed(3)}`,
+            `Animated: ${animated ? 'yes' : 'no'}`,
+            `Connection: ${connection}`
+        ].join('\n');
+    }
+
+    // Bright copy of the hovered hub's links, with markers on the points they join
+    function createHighlight() {
+        const color = new t.Color(theme.highlightColor);
+
+        const lineGeometry = new t.BufferGeometry();
+        lineGeometry.setAttribute('position', new t.BufferAttribute(new Float32Array(MAX_UNIT_LINKS * 6), 3));
+        const lines = new t.LineSegments(lineGeometry, new t.LineBasicMaterial({ color: color, transparent: true, depthTest: false }));
+
+        const markerGeometry = new t.BufferGeometry();
+        markerGeometry.setAttribute('position', new t.BufferAttribute(new Float32Array(MAX_UNIT_LINKS * 6), 3));
+        const markers = new t.Points(markerGeometry, new t.PointsMaterial({ color: color, size: 0.08, sizeAttenuation: true, transparent: true, depthTest: false }));
+
+        [lines, markers].forEach(object => {
+            object.frustumCulled = false;
+            object.visible = false;
+        });
+        return { lines: lines, markers: markers };
+    }
+
+    // Copy the hovered hub's current segment endpoints out of the connection pool
+    function updateHighlight() {
+        if (hoveredHub && hoveredHub.conn.state === 'removed') {
+            hoveredHub = null;
+        }
+        highlight.lines.visible = highlight.markers.visible = !!hoveredHub;
+        if (!hoveredHub) return;
+
+        const linePositions = highlight.lines.geometry.attributes.position;
+        const markerPositions = highlight.markers.geometry.attributes.position;
+        hoveredHub.segments.forEach((segment, j) => {
+            const o = segment * 6;
+            const p = connections.positions;
+            linePositions.setXYZ(j * 2, p[o], p[o + 1], p[o + 2]);
+            linePositions.setXYZ(j * 2 + 1, p[o + 3], p[o + 4], p[o + 5]);
+            // A marker on both ends (points shared by several links get one per link)
+            markerPositions.setXYZ(j * 2, p[o], p[o + 1], p[o + 2]);
+            markerPositions.setXYZ(j * 2 + 1, p[o + 3], p[o + 4], p[o + 5]);
+        });
+
+        highlight.lines.geometry.setDrawRange(0, hoveredHub.segments.length * 2);
+        highlight.markers.geometry.setDrawRange(0, hoveredHub.segments.length * 2);
+        linePositions.needsUpdate = true;
+        markerPositions.needsUpdate = true;
+    }
+
+    // The camera view is kept in the URL hash (#camera=radius,theta,phi,x,y,z) so it can be shared
+    function readCameraFromHash() {
+        const value = new URLSearchParams(window.location.hash.slice(1)).get('camera');
+        if (!value) return;
+
+        const numbers = value.split(',').map(Number);
+        if (numbers.length !== 6 || numbers.some(n => !Number.isFinite(n)) || numbers[0] <= 0) return;
+
+        const [radius, theta, phi, x, y, z] = numbers;
+        controls.setState({ target: [x, y, z], radius: radius, theta: theta, phi: phi });
+    }
+
+    function scheduleCameraHashWrite() {
+        clearTimeout(cameraHashTimer);
+        cameraHashTimer = setTimeout(writeCameraToHash, CAMERA_HASH_DELAY);
+    }
+
+    function writeCameraToHash() {
+        const state = controls.getState();
+        const params = new URLSearchParams(window.location.hash.slice(1));
+        params.set('camera', [state.radius, state.theta, state.phi].concat(state.target).map(n => +n.toFixed(4)).join(','));
+
+        // replaceState instead of assigning location.hash: no history entry per camera move, no hashchange event
+        history.replaceState(null, '', '#' + params.toString().replace(/%2C/g, ','));
+    }
+
+    // All windows share one virtual camera that spans the whole screen; each window
+    // renders only the slice of it that lies under its own viewport. Each window's
+    // cluster sits at the center of that viewport (updateClusterPosition()) and
+    // follows the window when it is moved around.
+    function updateViewOffset() {
+        const shape = windowManager.getThisWindowShape();
+        const { width: fullWidth, height: fullHeight } = screenSize();
+
+        camera.aspect = fullWidth / fullHeight;
+        camera.setViewOffset(fullWidth, fullHeight, shape.x, shape.y, shape.w, shape.h);
+    }
+
+    // Maps a screen-space pixel position onto the z = 0 plane of the shared virtual camera
+    function screenToWorld(px, py) {
+        const { width: fullWidth, height: fullHeight } = screenSize();
+        const worldPerPixel = 2 * CAMERA_DISTANCE * Math.tan(t.MathUtils.degToRad(camera.fov / 2)) / fullHeight;
+
+        return new t.Vector3((px - fullWidth / 2) * worldPerPixel, -(py - fullHeight / 2) * worldPerPixel, 0);
+    }
+
+    function windowCenter(shape) {
+        return screenToWorld(shape.x + shape.w / 2, shape.y + shape.h / 2);
+    }
+
+    // Each window owns the cluster centered on its own viewport
+    function updateClusterPosition() {
+        if (points) {
+            points.position.copy(windowCenter(windowManager.getThisWindowShape()));
+        }
+    }
+
+    // Offset of a link endpoint from its cluster's center, denser towards the core like the galaxy itself.
+    // It only depends on the key, so both windows of a pair derive the same lines and they line up exactly.
+    function linkEndpointOffset(key) {
+        const keyRandom = createRandom(hashString(key));
+        const distance = Math.pow(keyRandom(), 1.5) * WINDOW_LINK_SPREAD;
+        const theta = keyRandom() * Math.PI * 2;
+        const phi = Math.acos(2 * keyRandom() - 1);
+
+        return new t.Vector3(
+            distance * Math.sin(phi) * Math.cos(theta),
+            distance * Math.sin(phi) * Math.sin(theta),
+            distance * Math.cos(phi)
+        );
+    }
+
+    function createWindowLink(otherWindow, tNow) {
+        const segments = windowLinks.allocate(WINDOW_LINK_LINES);
+        if (!segments) return null; // Already linked to as many windows as the pool holds
+
+        const ownId = windowManager.getThisWindowId();
+        const pairKey = [ownId, otherWindow.id].sort().join('|');
+
+        // Per line: offset of the end in our cluster, then of the end in the other cluster
+        const offsets = [];
+        for (let i = 0; i < WINDOW_LINK_LINES; i++) {
+            offsets.push(linkEndpointOffset(`${pairKey}:${ownId}:${i}`));
+            offsets.push(linkEndpointOffset(`${pairKey}:${otherWindow.id}:${i}`));
+        }
+
+        setWindowLinkColors(segments);
+        segments.forEach(segment => windowLinks.setAlpha(segment, 0));
+
+        return {
+            segments: segments,
+            state: 'fadingIn',
+            startTime: tNow,
+            windowId: otherWindow.id,
+            otherShape: otherWindow.shape,
+            offsets: offsets
+        };
+    }
+
+    // Called whenever the window registry changes: fade in links to new windows, fade out links to closed ones
+    function syncWindowLinks(windows) {
+        const tNow = elapsedTime();
+        const ownId = windowManager.getThisWindowId();
+        const otherIds = new Set(windows.filter(w => w.id !== ownId).map(w => w.id));
+
+        ['active', 'fadingIn'].forEach(stateName => {
+            windowLinkStates[stateName] = windowLinkStates[stateName].filter(link => {
+                if (otherIds.has(link.windowId)) return true;
+
+                link.state = 'fadingOut';
+                link.startTime = tNow;
+                windowLinkStates.fadingOut.push(link);
+                return false;
+            });
+        });
+
+        windows.forEach(w => {
+            if (w.id === ownId) return;
+
+            const linked = windowLinkStates.active.concat(windowLinkStates.fadingIn)
+                .some(link => link.windowId === w.id);
+            if (!linked) {
+                const link = createWindowLink(w, tNow);
+                if (link) windowLinkStates.fadingIn.push(link);
+            }
+        });
+    }
+
+    // Stretch every window link between the current cluster centers
+    function updateWindowLinks(tNow) {
+        updateConnectionStates(windowLinkStates, windowLinks, tNow);
+
+        const ownCenter = windowCenter(windowManager.getThisWindowShape());
+        const windows = windowManager.getWindows();
+
+        windowLinkStates.active.concat(windowLinkStates.fadingIn, windowLinkStates.fadingOut)
+            .forEach(link => {
+                // Keep the last known shape of windows that have gone away so fading links stay put
+                const otherWindow = windows.find(w => w.id === link.windowId);
+                if (otherWindow) link.otherShape = otherWindow.shape;
+                const otherCenter = windowCenter(link.otherShape);
+
+                link.segments.forEach((segment, i) => {
+                    const ownEnd = link.offsets[i * 2];
+                    const otherEnd = link.offsets[i * 2 + 1];
+                    windowLinks.setSegment(segment,
+                        ownCenter.x + ownEnd.x, ownCenter.y + ownEnd.y, ownCenter.z + ownEnd.z,
+                        otherCenter.x + otherEnd.x, otherCenter.y + otherEnd.y, otherCenter.z + otherEnd.z);
+                });
+            });
+
+        windowLinks.update();
+    }
+
+    function setWindowLinkColors(segments) {
+        const base = theme.lineColor;
+        const far = { r: base.r * 0.8, g: base.g * 0.8, b: base.b * 0.8 };
+        segments.forEach(segment => windowLinks.setColor(segment, base, far));
+    }
+
+    function createInitialConnections(positions) {
+        createConnections(positions, 1.0, INITIAL_CONNECTIONS);
+        initialSetupDone = true;
+    }
+
+    // Create `count` hubs of the current topology from random start points, as one group of connections.
+    // A full replacement (replacementPercentage 1) takes the place of all existing connections at once;
+    // otherwise the group fades in next to them.
+    function createConnections(positions, replacementPercentage, count) {
+        // If replacing all connections (initial setup), clear any existing ones
+        if (replacementPercentage >= 1.0) {
+            releaseAllConnections();
+        }
+
+        const segments = []; // Pool segments of this group, hub by hub, link by link
+        const hubs = []; // The group's hubs: { hub: start point, links: [[a, b], ...], offset: of the link ends at the start point }
+        const drawnPoints = drawnPointCount(); // Points hidden by the quality tier get no new connections
+        const graph = connectionGraph(positions, drawnPoints);
+
+        for (let i = 0; i < count; i++) {
+            // Select a random point to start the hub from
+            const hubIndex = Math.floor(random() * drawnPoints);
+
+            // Stop once the preallocated segment pool is full
+            if (connections.available < topology.maxLinks) break;
+
+            const unit = topology.build(hubIndex, graph);
+            if (!unit || !fitsConnectionSlots(unit.links)) continue;
+
+            const hub = { hub: hubIndex, links: unit.links, offset: unit.offset || NO_OFFSET };
+            const hubSegments = connections.allocate(hub.links.length);
+            hub.links.forEach(([a, b], j) => setLinkSegment(hubSegments[j], hub, a, b, 1, 1));
+            setHubColors(hubSegments, hub, positions);
+
+            // Initial opacity for all links; partial batches fade in from nothing
+            const initialOpacity = replacementPercentage >= 1.0 ? 0.5 : 0.0;
+            hubSegments.forEach(segment => connections.setAlpha(segment, initialOpacity));
+
+            reserveConnectionSlots(hub);
+            hubs.push(hub);
+            segments.push(...hubSegments);
+        }
+
+        // If we have connections to show
+        if (hubs.length > 0) {
+            const newConnections = {
+                segments: segments,
+                state: replacementPercentage >= 1.0 ? 'active' : 'fadingIn',
+                startTime: elapsedTime(), // Track when these connections were created
+                hubsCount: hubs.length,
+                hubs: hubs
+            };
+            connectionStats.created += hubs.length;
+
+            // For full replacement, these are the only connections
+            if (replacementPercentage >= 1.0) {
+                connectionStates.active.push(newConnections);
+            } 
+            // For partial replacement, fade them in next to the existing ones
+            else {
+                connectionStates.fadingIn.push(newConnections);
+            }
+        }
+    }
+
+    // What a topology's build() sees of the scene (see topologies.js): the rest positions, free
+    // connection slots and nearest neighbours among the drawn points within the connection range
+    function connectionGraph(positions, drawnPoints) {
+        const free = index => MAX_CONNECTIONS_PER_POINT - pointConnectionCounts[index];
+        return {
+            random: random,
+            range: SETTINGS.connectionThreshold,
+            position: index => [positions[index * 3], positions[index * 3 + 1], positions[index * 3 + 2]],
+            free: free,
+            nearest: (index, k, accept = null) => spatialGrid.nearest(
+                positions[index * 3], positions[index * 3 + 1], positions[index * 3 + 2], k, SETTINGS.connectionThreshold,
+                other => other !== index && other < drawnPoints && free(other) > 0 && (!accept || accept(other)))
+        };
+    }
+
+    // Whether a new hub's links stay within the topology's size and every point's connection limit
+    function fitsConnectionSlots(links) {
+        if (links.length === 0 || links.length > topology.maxLinks) return false;
+        const added = new Map();
+        return links.every(link => link[0] !== link[1] && link.every(index => {
+            added.set(index, (added.get(index) || 0) + 1);
+            return index >= 0 && index < pointCount && pointConnectionCounts[index] + added.get(index) <= MAX_CONNECTIONS_PER_POINT;
+        }));
+    }
+
+    // Point the ends of a hub's link from point a to point b into `segment`, with the points scaled
+    // by their breathing factors; ends at the hub's start point are moved by its offset
+    function setLinkSegment(segment, hub, a, b, scaleA, scaleB) {
+        const positions = basePositions();
+        const offsetA = a === hub.hub ? hub.offset : NO_OFFSET;
+        const offsetB = b === hub.hub ? hub.offset : NO_OFFSET;
+        connections.setSegment(segment,
+            positions[a * 3] * scaleA + offsetA[0],
+            positions[a * 3 + 1] * scaleA + offsetA[1],
+            positions[a * 3 + 2] * scaleA + offsetA[2],
+            positions[b * 3] * scaleB + offsetB[0],
+            positions[b * 3 + 1] * scaleB + offsetB[1],
+            positions[b * 3 + 2] * scaleB + offsetB[2]);
+    }
+
+    // Colors of a hub's links, one per segment of `hubSegments`: the line color (or the line gradient
+    // at the distance of the link's first point from the center), slightly darker towards the second
+    function setHubColors(hubSegments, hub, positions) {
+        hub.links.forEach(([a], j) => {
+            let base = theme.lineColor;
+            if (CONFIG.useLineGradient) {
+                const x = positions[a * 3];
+                const y = positions[a * 3 + 1];
+                const z = positions[a * 3 + 2];
+                base = theme.lineColorAt(Math.min(Math.sqrt(x*x + y*y + z*z) / gradientRadius, 1.0));
+            }
+            const far = { r: base.r * 0.8, g: base.g * 0.8, b: base.b * 0.8 };
+            connections.setColor(hubSegments[j], base, far);
+        });
+    }
+
+    // Hand every hub back to the pool and reset the lifecycle (before a full rebuild)
+    function releaseAllConnections() {
+        Object.values(connectionStates).forEach(list => {
+            list.forEach(conn => connections.release(conn.segments));
+        });
+        connectionStates = {
+            active: [],
+            fadingIn: [],
+            fadingOut: [],
+            pendingRemoval: []
+        };
+        pointConnectionCounts.fill(0);
+    }
+
+    // Base alpha of segment j of a group: subtle pulsing for active connections, turned up and
+    // down by the audio in the audio-reactive mode
+    function connectionPulse(j, tNow) {
+        return Math.min(1, (0.5 + 0.2 * Math.sin(tNow * 2 + j * 0.1)) * audioDrive.pulse);
+    }
+
+    // Runs the fade-in / active / fade-out lifecycle for one set of connection groups drawn from `pool`
+    function updateConnectionStates(states, pool, tNow) {
+        // Remove any connections pending removal, handing their segments back to the pool
+        states.pendingRemoval.forEach(conn => {
+            conn.state = 'removed';
+            pool.release(conn.segments);
+        });
+        states.pendingRemoval = [];
+
+        // Process fading in connections
+        for (let i = 0; i < states.fadingIn.length; i++) {
+            const conn = states.fadingIn[i];
+            const elapsed = tNow - conn.startTime;
+
+            // Fade in over fadeInDuration seconds
+            if (elapsed > SETTINGS.fadeInDuration) {
+                // Move to active
+                conn.state = 'active';
+                states.active.push(conn);
+                states.fadingIn.splice(i, 1);
+                i--; // Adjust index since we removed an item
+            } else {
+                // Fade from 0 up to the pulsing active opacity
+                const progress = elapsed / SETTINGS.fadeInDuration; // 0 to 1
+                conn.segments.forEach((segment, j) => {
+                    pool.setAlpha(segment, connectionPulse(j, tNow) * progress);
+                });
+            }
+        }
+
+        // Process fading out connections
+        for (let i = 0; i < states.fadingOut.length; i++) {
+            const conn = states.fadingOut[i];
+            const elapsed = tNow - conn.startTime;
+
+            // Fade out over fadeOutDuration seconds
+            if (elapsed > SETTINGS.fadeOutDuration) {
+                // Move to pending removal, fully invisible from now on
+                conn.segments.forEach(segment => pool.setAlpha(segment, 0));
+                states.pendingRemoval.push(conn);
+                states.fadingOut.splice(i, 1);
+                i--; // Adjust index since we removed an item
+            } else {
+                // Use easeOutCubic for fade-out (smoother at the end)
+                // This starts faster and ends slower for a gentler fade-out
+                const progress = elapsed / SETTINGS.fadeOutDuration; // 0 to 1
+                const easedProgress = 1 - Math.pow(1 - progress, 3);
+                const fadeOutFactor = 1.0 - easedProgress; // 1 to 0, with easing
+
+                conn.segments.forEach((segment, j) => {
+                    pool.setAlpha(segment, connectionPulse(j, tNow) * fadeOutFactor);
+                });
+            }
+        }
+
+        // Animate active connections
+        states.active.forEach(conn => {
+            conn.segments.forEach((segment, j) => {
+                pool.setAlpha(segment, connectionPulse(j, tNow));
+            });
+        });
+    }
+
+    // Take up a connection slot of both points of every link of a hub
+    function reserveConnectionSlots(hub) {
+        hub.links.forEach(([a, b]) => {
+            pointConnectionCounts[a]++;
+            pointConnectionCounts[b]++;
+        });
+    }
+
+    // Give the points of a removed connection group their connection slots back
+    function releaseConnectionSlots(conn) {
+        (conn.hubs || []).forEach(hub => {
+            hub.links.forEach(([a, b]) => {
+                pointConnectionCounts[a]--;
+                pointConnectionCounts[b]--;
+            });
+        });
+    }
+
+    function updateConnections(tNow) {
+        connectionStates.pendingRemoval.forEach(releaseConnectionSlots);
+        updateConnectionStates(connectionStates, connections, tNow);
+
+        // Update connection statistics
+        connectionStats = {
+            created: connectionStats.created,
+            active: connectionStates.active.reduce((sum, conn) => sum + (conn.hubsCount || 0), 0),
+            fadingIn: connectionStates.fadingIn.reduce((sum, conn) => sum + (conn.hubsCount || 0), 0),
+            fadingOut: connectionStates.fadingOut.reduce((sum, conn) => sum + (conn.hubsCount || 0), 0),
+            total: 0,
+            segments: connections.used // Pool segments in use, including ones still waiting for removal
+        };
+        connectionStats.total = connectionStats.active + connectionStats.fadingIn + connectionStats.fadingOut;
+    }
+
+    // Radial "breathing" factor of point i at time tNow; 1 for points that don't move, and for all of them under a flow field.
+    // CPU copy of the vertex shader in pointsMaterial.js, used to keep connection endpoints on their dots.
+    function breathingScale(i, tNow) {
+        const attributes = points.geometry.attributes;
+        if (flow || attributes.animated.array[i] <= 0) return 1;
+
+        // Skip points too close to center (the shader does the same)
+        const originalPositions = points.geometry.userData.originalPositions;
+        const x = originalPositions[i * 3];
+        const y = originalPositions[i * 3 + 1];
+        const z = originalPositions[i * 3 + 2];
+        if (Math.sqrt(x*x + y*y + z*z) < 0.1) return 1;
+
+        // Scale factor oscillates between 0.7 and 1.1 based on sine wave (further with a louder audio amplitude)
+        return 0.9 + 0.2 * audioDrive.breathing * Math.sin(tNow * attributes.frequency.array[i] + attributes.phase.array[i]);
+    }
+
+    // Where the points are before breathing: their rest positions, or where the flow field has taken them
+    function basePositions() {
+        return flow ? points.geometry.attributes.position.array : points.geometry.userData.originalPositions;
+    }
+
+    // Start, change or stop the flow-field motion to match OPTIONS.motion. A running flow carries on from
+    // where the points are; `start` ({ positions, time }, from a snapshot) sets where a new one starts from.
+    function applyMotion(start = null) {
+        const attribute = points.geometry.attributes.position;
+        flowGeneration++;
+
+        if (OPTIONS.motion.mode === 'breathing') {
+            if (flow) {
+                // Back to the rest positions, and to finding neighbours among them
+                attribute.array.set(points.geometry.userData.originalPositions);
+                attribute.needsUpdate = true;
+                spatialGrid = new SpatialGrid(points.geometry.userData.originalPositions, SETTINGS.connectionThreshold / 4);
+            }
+            flow = null;
+            stopFlowWorker();
+            points.material.uniforms.breathing.value = 1;
+            points.frustumCulled = true;
+            return;
+        }
+
+        if (!flow) {
+            flow = {
+                time: 0, // Flow time stepped to (or sent to the worker to step to)
+                pendingTime: 0, // Flow time gathered since
+                shownTime: 0, // Flow time of the positions in the position attribute
+                spare: new Float32Array(attribute.array.length), // Buffer lent to the worker for the next step
+                inFlight: null, // Generation of the step in the worker, if any
+                inFlightTime: 0, // Flow time that step ends at
+                workerStale: true, // The worker's positions are out of date; send them with the next step
+                gridPositions: new Float32Array(attribute.array.length), // What spatialGrid indexes under the flow
+                gridTime: -1 // Flow time of gridPositions
+            };
+        }
+        // Its own random sequence, so switching modes leaves the scene's random sequence alone
+        flow.field = createFlowField(createRandom(hashString(`flow:${seed}`)), OPTIONS.motion);
+        flow.workerStale = true;
+        if (start) {
+            attribute.array.set(start.positions);
+            attribute.needsUpdate = true;
+            flow.time = start.time || 0;
+            flow.shownTime = flow.time;
+            flow.gridTime = -1;
+        }
+        points.material.uniforms.breathing.value = 0;
+        points.frustumCulled = false; // Drifting points can be anywhere within the flow's bounds
+        connectionSearchPositions(); // Index where the points are
+    }
+
+    // The flow worker, started on first use; null where module workers can't run (the flow then runs here)
+    function startFlowWorker() {
+        if (flowWorker || flowWorkerFailed) return flowWorker;
+        try {
+            flowWorker = new Worker(new URL('./flowWorker.js', import.meta.url), { type: 'module' });
+            flowWorker.onmessage = onFlowStep;
+            flowWorker.onerror = event => {
+                console.warn('Flow worker failed, moving the points on the main thread instead', event.message || '');
+                flowWorkerFailed = true;
+                stopFlowWorker();
+            };
+        } catch (error) {
+            console.warn('Could not start the flow worker, moving the points on the main thread instead', error);
+            flowWorkerFailed = true;
+        }
+        return flowWorker;
+    }
+
+    function stopFlowWorker() {
+        if (flowWorker) flowWorker.terminate();
+        flowWorker = null;
+        // A step in flight is lost along with its buffer, and a new worker needs the positions again
+        if (flow && flow.inFlight !== null) {
+            flow.spare = new Float32Array(points.geometry.attributes.position.array.length);
+            flow.inFlight = null;
+        }
+        if (flow) flow.workerStale = true;
+    }
+
+    // Move the drifting points on by the flow time gathered since they last moved: in the worker while the
+    // galaxy runs live (the result shows up a frame or so later), right here when every frame has to be
+    // exact (`synchronous`: recording, seeking) or there is no worker
+    function advanceFlow(synchronous, maxStep) {
+        if (!flow) return;
+        const attribute = points.geometry.attributes.position;
+        const worker = synchronous ? null : startFlowWorker();
+
+        if (!worker) {
+            // From where the points are shown: a step still in the worker is done again here, and its result dropped
+            const time = flow.time + flow.pendingTime;
+            if (!(time > flow.shownTime)) return;
+            flowGeneration++;
+            stepFlow(attribute.array, points.geometry.attributes.animated.array, flow.field, flow.shownTime, time - flow.shownTime, maxStep);
+            attribute.needsUpdate = true;
+            flow.shownTime = time;
+            flow.workerStale = true;
+        } else if (!(flow.pendingTime > 0) || flow.inFlight !== null) {
+            return; // The time keeps gathering until the worker is done with the last step
+        } else {
+            if (flow.workerStale) {
+                // The worker steps its own copy of the positions; it needs a new one after they moved here
+                worker.postMessage({
+                    type: 'init',
+                    animated: Uint8Array.from(points.geometry.attributes.animated.array),
+                    field: flow.field,
+                    positions: attribute.array.slice()
+                });
+                flow.workerStale = false;
+            }
+            flow.inFlight = ++flowGeneration;
+            flow.inFlightTime = flow.time + flow.pendingTime;
+            worker.postMessage({
+                type: 'step',
+                buffer: flow.spare.buffer,
+                time: flow.time,
+                dt: flow.pendingTime,
+                generation: flow.inFlight
+            }, [flow.spare.buffer]);
+        }
+        flow.time += flow.pendingTime;
+        flow.pendingTime = 0;
+    }
+
+    // A step back from the worker: its buffer becomes the position attribute, and the attribute's old
+    // buffer is lent out for the next step. Dropped if the points have been moved some other way since.
+    function onFlowStep({ data }) {
+        if (!flow || data.generation !== flow.inFlight) return; // Sent before a rebuild
+        flow.inFlight = null;
+        const positions = new Float32Array(data.buffer);
+        if (data.generation !== flowGeneration) {
+            flow.spare = positions;
+            return;
+        }
+
+        const attribute = points.geometry.attributes.position;
+        flow.spare = attribute.array;
+        attribute.array = positions;
+        attribute.needsUpdate = true;
+        flow.shownTime = flow.inFlightTime;
+    }
+
+    // Positions new connections are wired on: the rest positions (the breathing offsets depend on frame
+    // timing), or under a flow field where the points are now, indexed again only if they moved since
+    function connectionSearchPositions() {
+        if (!flow) return points.geometry.userData.originalPositions;
+        if (flow.gridTime !== flow.shownTime) {
+            flow.gridPositions.set(points.geometry.attributes.position.array);
+            flow.gridTime = flow.shownTime;
+            spatialGrid = new SpatialGrid(flow.gridPositions, SETTINGS.connectionThreshold / 4);
+        }
+        return flow.gridPositions;
+    }
+
+    // Move every connection endpoint onto the current position of the point it links.
+    // Ends at a hub's start point keep its offset (the small virtual hub of hubs and spokes).
+    function updateConnectionEndpoints(tNow) {
+        connectionStates.active.concat(connectionStates.fadingIn, connectionStates.fadingOut)
+            .forEach(conn => {
+                let s = 0; // Index into the group's segments
+
+                conn.hubs.forEach(hub => {
+                    hub.links.forEach(([a, b]) => {
+                        setLinkSegment(conn.segments[s++], hub, a, b, breathingScale(a, tNow), breathingScale(b, tNow));
+                    });
+                });
+            });
+
+        connections.update();
+    }
+
+    function render() {
+        if (contextLost) {
+            // Nothing can be drawn, and the scene waits rather than moving on unseen
+            animationFrame = requestAnimationFrame(render);
+            return;
+        }
+        const now = performance.now() * 0.001;
+        const dt = now - lastFrameTime;
+        lastFrameTime = now;
+
+        // While a video is recorded, the capture advances and draws the scene itself at its fixed timestep
+        if (!capture.recording) {
+            step(simulationDelta(dt), dt);
+            renderer.render(scene, camera);
+            if (adaptiveQuality()) governor.sample(dt);
+            frameTimes.add(dt * 1000);
+            statsOverlay.update(dt);
+        }
+        animationFrame = requestAnimationFrame(render);
+    }
+
+    // Scene seconds a frame that took `dt` wall-clock seconds advances the simulation by.
+    // Long gaps (a stalled tab, a debugger) only count as MAX_FRAME_DELTA, so nothing jumps.
+    function simulationDelta(dt) {
+        if (paused || (OPTIONS.pauseWhenHidden && document.hidden)) return 0;
+        return Math.min(dt, MAX_FRAME_DELTA) * OPTIONS.timeScale;
+    }
+
+    // Advance the scene by dt seconds of scene time (realDt seconds of wall-clock time, for the
+    // camera) and update everything for drawing it
+    function step(dt, realDt = dt) {
+        frameNumber++;
+
+        // Pick up window moves and resizes (moves don't fire any event)
+        windowManager.update();
+
+        controls.update(realDt);
+
+        // The audio only moves the scene while its clock runs
+        if (dt > 0) updateAudio(realDt);
+        simulate(dt);
+        advanceFlow(capture.recording); // Recorded frames must show exactly their own time
+        const tNow = sceneTime;
+        points.material.uniforms.time.value = breathingTime;
+        points.material.uniforms.amplitude.value = audioDrive.breathing;
+
+        // Update all connections (fading in, active, fading out); the lowest quality tiers do it every few frames
+        if (frameNumber % qualityTier.animationStride === 0) {
+            updateConnections(tNow);
+            updateConnectionEndpoints(breathingTime);
+        }
+        updateHighlight();
+        updateWindowLinks(tNow);
+
+        // Rotate the connections to match the points
+        connections.lines.rotation.y = points.rotation.y;
+        connections.lines.rotation.x = points.rotation.x;
+        connections.lines.position.copy(points.position);
+
+        // Hover picking and the pinned info overlay need the matrices of this frame
+        scene.updateMatrixWorld();
+        picker.update();
+        if (selectedPoint >= 0) {
+            picker.setPinnedText(describePoint(selectedPoint));
+            picker.setPinnedPosition(pointPosition(selectedPoint, new t.Vector3()));
+        }
+    }
+
+    // Advance the simulation clock by dt seconds: breathing, rotation and the connection scheduler.
+    // Everything time-based runs on sceneTime, so a paused clock (dt = 0) freezes it all.
+    function simulate(dt) {
+        sceneTime += dt;
+        const tNow = sceneTime;
+        // Hub budgets of the current quality tier
+        const targetConnections = hubBudget(SETTINGS.targetConnections);
+        const maxTotalConnections = hubBudget(SETTINGS.maxTotalConnections);
+
+        // Animate points - the selected percentage moves in/out in the vertex shader, or drifts with the flow field
+        if (breathing) {
+            breathingTime += dt;
+            if (flow) flow.pendingTime += dt;
+        }
+
+        // Slowly rotate everything
+        if (autoRotate) {
+            points.rotation.y += ROTATION_SPEED * dt;
+            points.rotation.x = Math.sin(tNow * 0.1) * 0.05; // Slight wobble
+        }
+
+        // Only process connection updates after initial setup
+        if (initialSetupDone) {
+            // Continuous small batch updates instead of large chunks
+            if (tNow >= nextConnectionUpdateTime) {
+                // Schedule the next update a small interval away (continuous stream of updates).
+                // Ticks land on fixed multiples of the interval so the same seed yields the same graph over time.
+                scheduleConnectionUpdate();
+
+                // Get the total connections
+                const totalCurrentConnections = connectionStats.total;
+
+                // If we're above the maximum limit, aggressively fade out more connections
+                if (totalCurrentConnections > maxTotalConnections) {
+                    const excessConnections = totalCurrentConnections - targetConnections;
+                    const numToRemove = Math.min(connectionStates.active.length, Math.ceil(excessConnections * 0.3)); // Remove 30% of excess each time
+
+                    for (let i = 0; i < numToRemove && connectionStates.active.length > 0; i++) {
+                        const conn = connectionStates.active.shift();
+                        conn.state = 'fadingOut';
+                        conn.startTime = tNow;
+                        connectionStates.fadingOut.push(conn);
+                    }
+                }
+                // Normal case - fade out a small percentage regularly
+                else if (connectionStates.active.length > 0) {
+                    // Only mark a small percentage of active connections for fade out
+                    const numToFadeOut = Math.max(1, Math.ceil(connectionStates.active.length * CONNECTION_REFRESH_RATE));
+
+                    // Always maintain a minimum number of active connections
+                    const minActiveToKeep = Math.floor(targetConnections * 0.6);
+                    const actualFadeOut = connectionStates.active.length - numToFadeOut < minActiveToKeep ? 
+                                        connectionStates.active.length - minActiveToKeep : 
+                                        numToFadeOut;
+
+                    // Only fade out connections if we're above the minimum threshold                            
+                    if (actualFadeOut > 0) {
+                        // Take the oldest connections to fade out
+                        for (let i = 0; i < actualFadeOut; i++) {
+                            const conn = connectionStates.active.shift();
+                            conn.state = 'fadingOut';
+                            conn.startTime = tNow;
+                            connectionStates.fadingOut.push(conn);
+                        }
+                    }
+                }
+
+                // Only create new connections if we're below the maximum and have capacity for fade-in
+                if (totalCurrentConnections < maxTotalConnections && 
+                    totalCurrentConnections - connectionStats.fadingOut + 20 < targetConnections) {
+
+                    // Calculate how many to create based on current total vs target
+                    const deficit = targetConnections - (totalCurrentConnections - connectionStats.fadingOut);
+                    // The audio-reactive mode speeds this up and slows it down (audioDrive.spawn)
+                    const connectionsToAdd = Math.min(
+                        Math.round(20 * audioDrive.spawn), // Never add more than 20 at once (at the normal rate) for smooth transitions
+                        Math.ceil(deficit * 0.2 * audioDrive.spawn) // Add 20% of deficit
+                    );
+
+                    if (connectionsToAdd > 0 && points && points.geometry) {
+                        createConnections(connectionSearchPositions(), 
+                                         CONNECTION_REFRESH_RATE, 
+                                         connectionsToAdd);
+                    }
+                }
+            }
+        }
+    }
+
+    // The next scheduler tick: the first multiple of SMALL_BATCH_INTERVAL after the current scene time.
+    // A step longer than the interval (a long seek, a high time scale) skips the ticks it passed over
+    // rather than leaving them to fire one a frame afterwards.
+    function scheduleConnectionUpdate() {
+        nextConnectionUpdateTime = (Math.floor(sceneTime / SMALL_BATCH_INTERVAL) + 1) * SMALL_BATCH_INTERVAL;
+    }
+
+    // Jump to `time` seconds of scene time. Forward, the simulation runs there in SEEK_STEP steps
+    // without drawing; backward, the galaxy is rebuilt from where it started (its seed, or the snapshot
+    // it was loaded from) and run forward from there, so scrubbing back to a time shows the same scene
+    // each time. Seeks farther than MAX_SEEK_STEPS steps take longer steps instead, so they can't hold up
+    // the page for long: rotation and breathing still land exactly, but the connection scheduler ticks
+    // at most once a step and the flow moves in coarser steps.
+    function seek(time) {
+        if (typeof time !== 'number' || !(time >= 0) || !Number.isFinite(time)) {
+            throw new RangeError(`Seek time must be a number of seconds, 0 or more (got ${time})`);
+        }
+        if (time < sceneTime) {
+            if (seekBase && time < seekBase.manifest.clock.sceneTime) {
+                throw new RangeError(`Cannot seek to ${time} s, before the loaded snapshot (${seekBase.manifest.clock.sceneTime} s)`);
+            }
+            if (seekBase) {
+                rebuildGalaxy(seekBase);
+            } else {
+                rebuildGalaxy();
+                points.rotation.set(0, 0, 0);
+            }
+        }
+        const stepSize = Math.max(SEEK_STEP, (time - sceneTime) / MAX_SEEK_STEPS);
+        while (sceneTime < time) {
+            simulate(Math.min(stepSize, time - sceneTime));
+            advanceFlow(true, stepSize);
+            updateConnections(sceneTime);
+        }
+        if (nextConnectionUpdateTime <= sceneTime) scheduleConnectionUpdate();
+        step(0, 0); // Bring everything drawn up to the new time
+    }
+
+    function pause() {
+        paused = true;
+    }
+
+    function resume() {
+        paused = false;
+    }
+
+    function resize() {
+        renderer.setSize(containerWidth(), containerHeight());
+        setPointScale(points.material, screenSize().height, renderer.getPixelRatio());
+        windowManager.update();
+        updateViewOffset();
+    }
+
+    // The container may be hidden (zero sized); the renderer and camera still need a size
+    function containerWidth() {
+        return Math.max(1, container.clientWidth);
+    }
+
+    function containerHeight() {
+        return Math.max(1, container.clientHeight);
+    }
+
+    // Size of the image of the shared virtual camera: the whole screen when the windows of the app
+    // share the camera, otherwise just the container
+    function screenSize() {
+        return OPTIONS.multiWindow ?
+            { width: window.screen.width, height: window.screen.height } :
+            { width: containerWidth(), height: containerHeight() };
+    }
+
+    // The GPU was reset or the browser took the context back (it keeps only a few). Cancelling the event
+    // asks for the context back; until then the frame loop idles and the clock stands still.
+    function onContextLost(event) {
+        event.preventDefault();
+        contextLost = true;
+        if (capture.recording) capture.stop();
+        showMessage('The graphics context was lost; the galaxy resumes once the GPU is back');
+    }
+
+    // Nothing survives on the GPU: rebuild the points and connections from a snapshot of the scene as it
+    // stood, so it carries on where it stopped (the CPU side is untouched by the loss)
+    function onContextRestored() {
+        contextLost = false;
+        rebuildGalaxy(decodeSnapshot(saveSnapshot()));
+        lastFrameTime = performance.now() * 0.001; // No jump over the time without a context
+        showMessage('The graphics context is back');
+    }
+
+    // prefers-reduced-motion (or the reducedMotion option) turns off the rotation and the breathing,
+    // flow-field drift included; the space bar and B still turn them on by hand
+    function setupReducedMotion() {
+        reducedMotionQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+        if (reducedMotionQuery) reducedMotionQuery.addEventListener('change', applyReducedMotion);
+        applyReducedMotion();
+    }
+
+    // Turns rotation and breathing off while the setting asks for reduced motion (called again whenever
+    // something else may have turned them on); when motion is allowed again, they come back on
+    function applyReducedMotion() {
+        const reduce = OPTIONS.reducedMotion === null ? !!(reducedMotionQuery && reducedMotionQuery.matches) : OPTIONS.reducedMotion;
+        if (reduce || motionReduced) {
+            autoRotate = !reduce;
+            breathing = !reduce;
+        }
+        motionReduced = reduce;
+    }
+
+    // Frames taken while the page was hidden don't count (see simulationDelta())
+    function onVisibilityChange() {
+        if (!document.hidden) lastFrameTime = performance.now() * 0.001;
+    }
+
+    function start() {
+        if (disposed) throw new Error('This galaxy has been disposed');
+        if (animationFrame !== null) return;
+        lastFrameTime = performance.now() * 0.001; // No jump over the time spent stopped
+        animationFrame = requestAnimationFrame(render);
+    }
+
+    function stop() {
+        if (animationFrame !== null) cancelAnimationFrame(animationFrame);
+        animationFrame = null;
+    }
+
+    // Runtime changes: the same options as createGalaxy() (but for CREATION_OPTIONS), all checked
+    // before anything changes. A new seed, distribution, topology or structural setting rebuilds the galaxy.
+    function setOptions(changes) {
+        const { next, values } = checkOptionChanges(changes);
+        const needsRebuild = ['seed', 'distribution', 'distributionParams', 'topology', 'topologyParams'].some(key => key in changes) ||
+            SETTINGS_FIELDS.some(field => field.rebuild && field.key in values.settings && values.settings[field.key] !== SETTINGS[field.key]);
+        const needsRecolor = Object.keys(values.config).some(key => values.config[key] !== CONFIG[key]);
+
+        applyOptionChanges(changes, next, values, needsRebuild ? rebuildGalaxy : () => {});
+        governor.setThresholds(OPTIONS.quality);
+        if (!adaptiveQuality()) governor.reset();
+        audio.configure(OPTIONS.audio);
+        padBoundingSphere(points.geometry);
+        if ('reducedMotion' in changes) applyReducedMotion();
+
+        if (!needsRebuild) {
+            if ('motion' in changes) applyMotion();
+            if (needsRecolor) recolor();
+        }
+        settingsPanel.setValues(panelValues());
+    }
+
+    // The options after `changes` as { next, values } (values: checked settings and config), all checked
+    // before anything changes. A new distribution or topology starts from its own default parameters.
+    function checkOptionChanges(changes) {
+        if (disposed) throw new Error('This galaxy has been disposed');
+        const fixed = CREATION_OPTIONS.filter(key => key in changes);
+        if (fixed.length > 0) throw new Error(`${fixed.join(', ')} can only be set when the galaxy is created`);
+        const next = mergeOptions(copyOptions(OPTIONS), changes);
+        ['distribution', 'topology'].forEach(key => {
+            if (key in changes && !(`${key}Params` in changes) && next[key] !== OPTIONS[key]) next[`${key}Params`] = {};
+        });
+        checkTimeScale(next.timeScale);
+        checkQualityOptions(next.quality);
+        checkReducedMotion(next.reducedMotion);
+        checkAudioOptions(next.audio);
+        checkMotionOptions(next.motion);
+        checkSceneOptions(next);
+        const values = checkSettingValues(changes.settings, changes.config);
+        if ('theme' in values.config && values.config.theme !== CONFIG.theme) {
+            // Another theme starts from its own colors, unless the change sets some
+            Object.keys(THEME_COLORS).forEach(key => {
+                if (!(key in values.config)) values.config[key] = null;
+            });
+        }
+        return { next: next, values: values };
+    }
+
+    // Take on checked options and run `build` with them; if that fails, the previous options come back
+    // and `build` runs again with them, so a failed change leaves the galaxy as it was
+    function applyOptionChanges(changes, next, values, build) {
+        const previous = { options: copyOptions(OPTIONS), settings: Object.assign({}, SETTINGS), config: Object.assign({}, CONFIG), seed: seed, seedGiven: seedGiven };
+        Object.assign(OPTIONS, next);
+        Object.assign(SETTINGS, values.settings);
+        Object.assign(CONFIG, values.config);
+        if ('seed' in changes) {
+            seed = resolveSeed(OPTIONS.seed, false);
+            seedGiven = isSeedGiven(OPTIONS.seed, false);
+        }
+        try {
+            build();
+        } catch (error) {
+            Object.assign(OPTIONS, previous.options);
+            Object.assign(SETTINGS, previous.settings);
+            Object.assign(CONFIG, previous.config);
+            seed = previous.seed;
+            seedGiven = previous.seedGiven;
+            build();
+            throw error;
+        }
+    }
+
+    function dispose() {
+        if (disposed) return;
+        stop();
+        if (capture.recording) capture.stop(); // Ends after the frame in progress
+        disposed = true;
+
+        disposeGalaxy();
+        controls.dispose();
+        settingsPanel.dispose();
+        statsOverlay.dispose();
+        audio.dispose();
+        stopFlowWorker();
+        windowManager.dispose();
+        if (messageElement) messageElement.remove();
+        clearTimeout(messageTimer);
+        clearTimeout(cameraHashTimer);
+
+        keyTarget.removeEventListener('keydown', onShortcutKey);
+        window.removeEventListener('hashchange', readCameraFromHash);
+        document.removeEventListener('visibilitychange', onVisibilityChange);
+        if (reducedMotionQuery) reducedMotionQuery.removeEventListener('change', applyReducedMotion);
+        if (resizeObserver) resizeObserver.disconnect();
+        window.removeEventListener('resize', resize);
+        renderer.domElement.removeEventListener('dragover', onDragOver);
+        renderer.domElement.removeEventListener('drop', onDrop);
+
+        renderer.domElement.removeEventListener('webglcontextlost', onContextLost);
+        renderer.domElement.removeEventListener('webglcontextrestored', onContextRestored);
+        renderer.dispose();
+        renderer.forceContextLoss(); // Browsers only keep a handful of WebGL contexts alive
+        renderer.domElement.remove();
+        container.style.position = containerPosition;
+    }
+
+    // Stand-in for the whole galaxy where no WebGL context can be had (disabled, blocklisted GPU, none
+    // left): the same point cloud, drawn once from the home view on a 2D canvas (StaticView.js), behind
+    // a controller with the same methods. Only what changes the picture does anything.
+    function createStaticGalaxy(error) {
+        console.warn('WebGL is not available, showing a still picture of the galaxy instead', error);
+        if (getComputedStyle(container).position === 'static') container.style.position = 'relative';
+        const view = new StaticView(container, { distance: CAMERA_DISTANCE });
+        view.setMessage('This browser cannot show WebGL, so the galaxy is a still picture here.');
+
+        seed = resolveSeed(OPTIONS.seed, OPTIONS.urlState);
+        const urlParams = OPTIONS.urlState ? new URLSearchParams(window.location.search) : new URLSearchParams();
+        if (urlParams.get('theme')) CONFIG.theme = urlParams.get('theme');
+
+        // The points buildGalaxy() would make from this seed (drawing the animated flags keeps the sequence in step)
+        function draw() {
+            theme = configuredTheme();
+            random = createRandom(seed);
+            const distributionName = urlParams.get('distribution') || OPTIONS.distribution;
+            const distribution = createDistribution(distributionName, random,
+                distributionName === OPTIONS.distribution ? OPTIONS.distributionParams : {});
+            gradientRadius = distribution.gradientRadius;
+            pointCount = SETTINGS.numPoints;
+
+            const positions = new Float32Array(pointCount * 3);
+            for (let i = 0; i < pointCount; i++) {
+                positions.set(distribution.point(), i * 3);
+                random();
+            }
+            const colors = new Float32Array(pointCount * 3);
+            fillPointColors(colors, positions);
+            view.draw({ positions: positions, colors: colors, background: hexToRgbNorm(theme.background), additive: theme.blending === 'additive' });
+        }
+
+        function resizeView() {
+            view.resize(pixR);
+        }
+
+        resizeView();
+        draw();
+        if (typeof ResizeObserver !== 'undefined') {
+            resizeObserver = new ResizeObserver(resizeView);
+            resizeObserver.observe(container);
+        } else {
+            window.addEventListener('resize', resizeView);
+        }
+
+        const idle = () => {};
+        return {
+            start: idle,
+            stop: idle,
+            resize: resizeView,
+            setOptions(changes) {
+                const { next, values } = checkOptionChanges(changes);
+                applyOptionChanges(changes, next, values, draw);
+            },
+            pause: idle,
+            resume: idle,
+            seek: idle,
+            setAudioSource: () => Promise.reject(new Error('The audio-reactive mode needs WebGL')),
+            getStats: () => ({ webgl: false, seed: seed, time: 0, points: { count: pointCount, drawn: pointCount } }),
+            dispose() {
+                if (disposed) return;
+                disposed = true;
+                view.dispose();
+                if (resizeObserver) resizeObserver.disconnect();
+                window.removeEventListener('resize', resizeView);
+                container.style.position = containerPosition;
+            }
+        };
+    }
+
+    // Where WebGL is unavailable, the galaxy is only a still picture
+    loadSettings();
+    try {
+        renderer = new t.WebGLRenderer({antialias: true});
+    } catch (error) {
+        return createStaticGalaxy(error);
+    }
+    setupScene();
+    setupWindowManager();
+    setupControls();
+    setupPicking();
+    setupSettingsPanel();
+    setupCapture();
+    setupQuality();
+    setupStats();
+    setupAudio();
+    setupDatasetDrop();
+    setupReducedMotion();
+    document.addEventListener('visibilitychange', onVisibilityChange);
+    resize();
+    if (typeof ResizeObserver !== 'undefined') {
+        resizeObserver = new ResizeObserver(() => resize());
+        resizeObserver.observe(container);
+    } else {
+        window.addEventListener('resize', resize);
+    }
+
+    return {
+        start: start,
+        stop: stop,
+        resize: resize,
+        setOptions: setOptions,
+        pause: pause,
+        resume: resume,
+        seek: seek,
+        setAudioSource: setAudioSource,
+        getStats: getStats,
+        dispose: dispose
+    };
+}
@@ -0,0 +1,76 @@
+// Point material that does the radial "breathing" on the GPU.
+// The position buffer holds the rest positions and is uploaded once; every
+// animated point is scaled along its vector from the center in the vertex
+// shader, driven by its own phase/frequency attributes and a time uniform; the
+// amplitude uniform scales how far they move (1 is the normal breathing), and
+// the breathing uniform turns it off (0) while a flow field moves the points
+// through the position buffer instead (see flowField.js).
+// The look matches the PointsMaterial it replaces: vertex colors, additive
+// blending, size attenuation.
+//
+// Keep the scale formula in sync with breathingScale() in galaxy.js, which
+// computes the same thing on the CPU for the few points connections attach to.
+
+const vertexShader = `
+    uniform float time;
+    uniform float amplitude;
+    uniform float breathing;
+    uniform float size;
+    uniform float pointScale;
+
+    attribute vec3 color;
+    attribute float animated;
+    attribute float phase;
+    attribute float frequency;
+
+    varying vec3 vColor;
+
+    void main() {
+        vColor = color;
+
+        vec3 transformed = position;
+        if (breathing > 0.0 && animated > 0.0 && length(position) >= 0.1) {
+            transformed *= 0.9 + 0.2 * amplitude * sin(time * frequency + phase);
+        }
+
+        vec4 mvPosition = modelViewMatrix * vec4(transformed, 1.0);
+        gl_Position = projectionMatrix * mvPosition;
+
+        // Size attenuation, same as PointsMaterial
+        gl_PointSize = size * (pointScale / -mvPosition.z);
+    }
+`;
+
+const fragmentShader = `
+    uniform float opacity;
+
+    varying vec3 vColor;
+
+    void main() {
+        gl_FragColor = vec4(vColor, opacity);
+    }
+`;
+
+// `three` is the three.js namespace
+export function createPointsMaterial({ three, size = 0.03, opacity = 1.0, blending = three.AdditiveBlending }) {
+    return new three.ShaderMaterial({
+        uniforms: {
+            time: { value: 0 },
+            amplitude: { value: 1 },
+            breathing: { value: 1 },
+            size: { value: size },
+            pointScale: { value: 1 }, // Half the drawing height in pixels, see setPointScale()
+            opacity: { value: opacity }
+        },
+        vertexShader: vertexShader,
+        fragmentShader: fragmentShader,
+        transparent: true,
+        blending: blending
+    });
+}
+
+// Pixel scale for size attenuation. PointsMaterial uses half the canvas height; we use the height of
+// the shared virtual camera (the screen), so points are the same size in every window.
+export function setPointScale(material, height, pixelRatio) {
+    material.uniforms.pointScale.value = height * pixelRatio * 0.5;
+}
@@ -0,0 +1,59 @@
+// Seedable pseudo-random numbers, so a scene can be reproduced exactly from its seed
+// (for bug reports, screenshots, or to line up the windows of a pair).
+
+// 32-bit FNV-1a hash with a final avalanche step; turns text seeds and keys into integers
+export function hashString(str) {
+    let h = 2166136261;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 16777619);
+    }
+    h ^= h >>> 13;
+    h = Math.imul(h, 0x5bd1e995);
+    h ^= h >>> 15;
+    return h >>> 0;
+}
+
+// mulberry32 - returns a function yielding uniform numbers in [0, 1), a drop-in for Math.random()
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let r = Math.imul(state ^ (state >>> 15), 1 | state);
+        r = (r + Math.imul(r ^ (r >>> 7), 61 | r)) ^ r;
+        return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // Position in the sequence, so a saved scene can carry on with the same numbers
+    random.getState = () => state;
+    random.setState = value => {
+        state = value >>> 0;
+    };
+    return random;
+}
+
+// Accepts a number or any text ("42", "bug-1234") and returns a 32-bit integer seed
+export function normalizeSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) return seed >>> 0;
+
+    const text = String(seed).trim();
+    return /^\d+$/.test(text) ? Number(text) >>> 0 : hashString(text);
+}
+
+// The seed comes from ?seed=... in the URL (unless useUrl is false), then from the options,
+// otherwise a fresh one is picked
+export function resolveSeed(optionSeed = null, useUrl = true) {
+    const urlSeed = useUrl ? new URLSearchParams(window.location.search).get('seed') : null;
+    if (urlSeed !== null && urlSeed !== '') return normalizeSeed(urlSeed);
+    if (optionSeed !== null && optionSeed !== undefined) return normalizeSeed(optionSeed);
+
+    const fresh = new Uint32Array(1);
+    crypto.getRandomValues(fresh);
+    return fresh[0];
+}
+
+// Whether resolveSeed() would use a given seed rather than pick a fresh one
+export function isSeedGiven(optionSeed = null, useUrl = true) {
+    const urlSeed = useUrl ? new URLSearchParams(window.location.search).get('seed') : null;
+    return (urlSeed !== null && urlSeed !== '') || (optionSeed !== null && optionSeed !== undefined);
+}
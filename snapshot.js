@@ -0,0 +1,95 @@
+// Binary container for scene snapshots: a JSON manifest followed by typed arrays.
+//
+// Layout (little endian):
+//   0   4 bytes  magic "GXSN"
+//   4   uint32   container version (SNAPSHOT_VERSION)
+//   8   uint32   byte length of the manifest
+//   12  manifest as UTF-8 JSON: { manifest: <caller's manifest>, arrays: [{ name, type, offset, length }] }
+//       then the arrays, each starting at a multiple of 8 bytes; offsets count from the first one
+//
+// The container only stores and checks the data; what goes into the manifest and
+// arrays (and its own versioning) is up to the caller.
+
+export const SNAPSHOT_VERSION = 1;
+
+const MAGIC = 'GXSN';
+const HEADER_SIZE = 12;
+const ALIGNMENT = 8;
+const ARRAY_TYPES = { Float32Array, Float64Array, Int32Array, Uint32Array, Uint8Array };
+
+function align(n) {
+    return Math.ceil(n / ALIGNMENT) * ALIGNMENT;
+}
+
+// Whether `buffer` starts like a snapshot (to tell snapshots from other dropped files)
+export function isSnapshot(buffer) {
+    return buffer.byteLength >= HEADER_SIZE &&
+        String.fromCharCode(...new Uint8Array(buffer, 0, 4)) === MAGIC;
+}
+
+// manifest: anything JSON can hold; arrays: { name: TypedArray }. Returns an ArrayBuffer.
+export function encodeSnapshot(manifest, arrays) {
+    const entries = [];
+    let offset = 0;
+    Object.entries(arrays).forEach(([name, array]) => {
+        const type = array.constructor.name;
+        if (!ARRAY_TYPES[type]) throw new TypeError(`Snapshot array "${name}" has unsupported type ${type}`);
+        entries.push({ name: name, type: type, offset: offset, length: array.length });
+        offset = align(offset + array.byteLength);
+    });
+
+    const json = new TextEncoder().encode(JSON.stringify({ manifest: manifest, arrays: entries }));
+    const dataStart = align(HEADER_SIZE + json.length);
+    const buffer = new ArrayBuffer(dataStart + offset);
+    const bytes = new Uint8Array(buffer);
+    const view = new DataView(buffer);
+
+    bytes.set(Array.from(MAGIC, c => c.charCodeAt(0)), 0);
+    view.setUint32(4, SNAPSHOT_VERSION, true);
+    view.setUint32(8, json.length, true);
+    bytes.set(json, HEADER_SIZE);
+    entries.forEach(entry => {
+        const array = arrays[entry.name];
+        bytes.set(new Uint8Array(array.buffer, array.byteOffset, array.byteLength), dataStart + entry.offset);
+    });
+
+    return buffer;
+}
+
+// Returns { manifest, arrays }, with every array copied out of the buffer
+export function decodeSnapshot(buffer) {
+    if (!isSnapshot(buffer)) throw new Error('Not a snapshot file (missing the GXSN header)');
+
+    const view = new DataView(buffer);
+    const version = view.getUint32(4, true);
+    if (version > SNAPSHOT_VERSION) {
+        throw new Error(`Snapshot version ${version} is newer than this version of the app understands (${SNAPSHOT_VERSION})`);
+    }
+
+    const jsonLength = view.getUint32(8, true);
+    if (HEADER_SIZE + jsonLength > buffer.byteLength) throw new Error('Snapshot file is truncated (manifest)');
+
+    let contents;
+    try {
+        contents = JSON.parse(new TextDecoder().decode(new Uint8Array(buffer, HEADER_SIZE, jsonLength)));
+    } catch (error) {
+        throw new Error(`Snapshot manifest is not valid JSON (${error.message})`);
+    }
+    if (!contents || !Array.isArray(contents.arrays)) throw new Error('Snapshot manifest has no array table');
+
+    const dataStart = align(HEADER_SIZE + jsonLength);
+    const arrays = {};
+    contents.arrays.forEach(entry => {
+        const Type = ARRAY_TYPES[entry.type];
+        if (!Type) throw new Error(`Snapshot array "${entry.name}" has unknown type ${entry.type}`);
+
+        const start = dataStart + entry.offset;
+        const byteLength = entry.length * Type.BYTES_PER_ELEMENT;
+        if (!(entry.offset >= 0) || start + byteLength > buffer.byteLength) {
+            throw new Error(`Snapshot file is truncated (array "${entry.name}")`);
+        }
+        arrays[entry.name] = new Type(buffer.slice(start, start + byteLength));
+    });
+
+    return { manifest: contents.manifest, arrays: arrays };
+}
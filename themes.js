@@ -0,0 +1,166 @@
+// Named color themes, picked by name.
+//
+// A theme definition has:
+//   label          - human readable name
+//   background     - clear color (HEX)
+//   blending       - 'additive' (points and lines glow, for dark backgrounds) or
+//                    'normal' (for light backgrounds, which additive blending would wash out)
+//   pointGradient  - color stops [[position, HEX], ...] for the points, from the center (0)
+//                    to the distribution's gradient radius (1); any number of stops
+//   lineGradient   - same for the connections, sampled at the distance of their hub
+//   lineColor      - flat connection color (gradient lines off, lines between windows)
+//   highlightColor - hovered hub and its spokes
+
+const BLENDING_MODES = ['additive', 'normal'];
+
+export const THEMES = {
+    dark: {
+        label: 'Dark (teal)',
+        background: 0x000000,
+        blending: 'additive',
+        pointGradient: [[0, 0x0f766e], [1, 0x14b8a6]],
+        lineGradient: [[0, 0x1ab380], [1, 0xcc33cc]],
+        lineColor: 0x808080,
+        highlightColor: 0xffffff
+    },
+
+    light: {
+        label: 'Light',
+        background: 0xf5f5f0,
+        blending: 'normal',
+        pointGradient: [[0, 0x111827], [0.5, 0x0f766e], [1, 0x0891b2]],
+        lineGradient: [[0, 0x0f766e], [1, 0x7c3aed]],
+        lineColor: 0x64748b,
+        highlightColor: 0xea580c
+    },
+
+    ember: {
+        label: 'Ember',
+        background: 0x05010a,
+        blending: 'additive',
+        pointGradient: [[0, 0xfff1c1], [0.25, 0xf59e0b], [0.6, 0xdc2626], [1, 0x4c1d95]],
+        lineGradient: [[0, 0xfbbf24], [1, 0x9333ea]],
+        lineColor: 0x9a3412,
+        highlightColor: 0xffffff
+    },
+
+    aurora: {
+        label: 'Aurora',
+        background: 0x020617,
+        blending: 'additive',
+        pointGradient: [[0, 0x22d3ee], [0.45, 0x4ade80], [1, 0xa855f7]],
+        lineGradient: [[0, 0x4ade80], [0.5, 0x22d3ee], [1, 0xa855f7]],
+        lineColor: 0x3b82f6,
+        highlightColor: 0xffffff
+    }
+};
+
+// HEX to normalized RGB helper
+export function hexToRgbNorm(hex) {
+    hex = typeof hex === 'string' ? hex.replace(/^#/, '') : hex.toString(16).padStart(6, '0');
+    if (hex.length === 3) hex = hex.split('').map(x => x + x).join('');
+    const num = parseInt(hex, 16);
+    return {
+        r: ((num >> 16) & 255) / 255,
+        g: ((num >> 8) & 255) / 255,
+        b: (num & 255) / 255
+    };
+}
+
+function checkColor(value, what) {
+    if (!Number.isInteger(value) || value < 0 || value > 0xffffff) {
+        throw new TypeError(`${what} must be a HEX color number like 0x14b8a6`);
+    }
+}
+
+// Returns (position, target = {}) => target filled with the normalized RGB color at `position`.
+// Positions outside the first and last stop get the color of that stop.
+export function createGradient(stops, what = 'Gradient') {
+    if (!Array.isArray(stops) || stops.length === 0) {
+        throw new TypeError(`${what} needs at least one [position, color] stop`);
+    }
+    stops.forEach(([position, color], i) => {
+        if (typeof position !== 'number' || position < 0 || position > 1) {
+            throw new RangeError(`${what} stop ${i} must have a position between 0 and 1`);
+        }
+        if (i > 0 && position < stops[i - 1][0]) {
+            throw new RangeError(`${what} stops must be in ascending order of position`);
+        }
+        checkColor(color, `${what} stop ${i}`);
+    });
+
+    const positions = stops.map(stop => stop[0]);
+    const colors = stops.map(stop => hexToRgbNorm(stop[1]));
+    const last = stops.length - 1;
+
+    return (position, target = {}) => {
+        let i = 0;
+        while (i < last && position > positions[i + 1]) i++;
+
+        const a = colors[i];
+        const b = colors[Math.min(i + 1, last)];
+        const span = i < last ? positions[i + 1] - positions[i] : 0;
+        const k = span > 0 ? Math.min(Math.max((position - positions[i]) / span, 0), 1) : 0;
+
+        target.r = a.r + (b.r - a.r) * k;
+        target.g = a.g + (b.g - a.g) * k;
+        target.b = a.b + (b.b - a.b) * k;
+        return target;
+    };
+}
+
+// Returns the named theme with its gradients ready to sample:
+// { name, label, background, blending, pointColor(position, target), lineColorAt(position, target), lineColor, highlightColor, colors }
+// `overrides` replaces some of its colors (HEX; null or missing keeps the theme's own): background, lineColor,
+// highlightColor, and centerColor / outerColor for the first and last stop of the point gradient.
+// `colors` holds those five colors as HEX, as they end up.
+export function createTheme(name, overrides = {}) {
+    if (!THEMES[name]) {
+        throw new Error(`Unknown theme "${name}" (available: ${Object.keys(THEMES).join(', ')})`);
+    }
+    const definition = Object.assign({}, THEMES[name]);
+    ['background', 'lineColor', 'highlightColor'].forEach(key => {
+        if (overrides[key] != null) definition[key] = overrides[key];
+    });
+    if (Array.isArray(definition.pointGradient) && definition.pointGradient.length > 0) {
+        const stops = definition.pointGradient.map(stop => stop.slice());
+        if (overrides.centerColor != null) stops[0][1] = overrides.centerColor;
+        if (overrides.outerColor != null) stops[stops.length - 1][1] = overrides.outerColor;
+        definition.pointGradient = stops;
+    }
+    if (!BLENDING_MODES.includes(definition.blending)) {
+        throw new Error(`Theme "${name}" has unknown blending "${definition.blending}" (available: ${BLENDING_MODES.join(', ')})`);
+    }
+    ['background', 'lineColor', 'highlightColor'].forEach(key => checkColor(definition[key], `"${key}" of theme "${name}"`));
+
+    return {
+        name: name,
+        label: definition.label,
+        background: definition.background,
+        blending: definition.blending,
+        pointColor: createGradient(definition.pointGradient, `Point gradient of theme "${name}"`),
+        lineColorAt: createGradient(definition.lineGradient, `Line gradient of theme "${name}"`),
+        lineColor: hexToRgbNorm(definition.lineColor),
+        highlightColor: definition.highlightColor,
+        colors: {
+            background: definition.background,
+            centerColor: definition.pointGradient[0][1],
+            outerColor: definition.pointGradient[definition.pointGradient.length - 1][1],
+            lineColor: definition.lineColor,
+            highlightColor: definition.highlightColor
+        }
+    };
+}
+
+// Add a theme (or replace one); the definition is checked right away
+export function registerTheme(name, definition) {
+    const previous = THEMES[name];
+    THEMES[name] = Object.assign({ label: name, blending: 'additive' }, definition);
+    try {
+        createTheme(name);
+    } catch (error) {
+        if (previous) THEMES[name] = previous;
+        else delete THEMES[name];
+        throw error;
+    }
+}
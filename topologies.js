@@ -0,0 +1,189 @@
+// Connection topologies: how the points of one connection unit are wired together, picked by name.
+//
+// The connection scheduler in galaxy.js creates connections one unit at a time, each from a random
+// start point. Every unit counts as one hub against the targetConnections / maxTotalConnections
+// budgets and fades in, pulses and fades out with the batch it was created in. A topology
+// definition has:
+//   label    - human readable name
+//   params   - typed parameter descriptors, like those of distributions.js
+//   maxLinks - (params) => most lines one unit can have (sizes the segment pool), MAX_UNIT_LINKS at most
+//   build    - (start, graph, params) => { links: [[a, b], ...], offset } for a unit starting at point
+//              `start`, or null when none fits there. Links are pairs of point indices. `offset`
+//              (optional) moves the link ends at the start point, e.g. onto a small virtual hub.
+//
+// `graph` is what build() gets to see of the scene:
+//   random                 - the scene's seeded random source; use it, so a seed reproduces the graph
+//   range                  - the connection range (SETTINGS.connectionThreshold)
+//   position(i)            - rest position of point i as [x, y, z]
+//   free(i)                - how many more links point i can take
+//   nearest(i, k, accept)  - up to k nearest points to point i within range, closest first, as
+//                            [{ index, dist }]: only points that are drawn, have a free link and pass
+//                            accept(index), when given
+// A unit must not give a point more links than free() allows; counting the links a point gets
+// within the unit itself is up to build().
+
+import { resolveParams } from './distributions.js';
+
+export const MAX_UNIT_LINKS = 16; // Most lines in one unit, of any topology
+
+const WALK_CHOICES = 3; // Chains and constellations step to one of this many nearest candidates
+
+function distance(a, b) {
+    const dx = a[0] - b[0];
+    const dy = a[1] - b[1];
+    const dz = a[2] - b[2];
+    return Math.sqrt(dx*dx + dy*dy + dz*dz);
+}
+
+// Angle in degrees between the directions a->b and b->c
+function turnAngle(a, b, c) {
+    const u = [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+    const v = [c[0] - b[0], c[1] - b[1], c[2] - b[2]];
+    const lengths = Math.hypot(...u) * Math.hypot(...v);
+    if (lengths === 0) return 0;
+    const cos = (u[0] * v[0] + u[1] * v[1] + u[2] * v[2]) / lengths;
+    return Math.acos(Math.max(-1, Math.min(1, cos))) * 180 / Math.PI;
+}
+
+// A path of up to `length` points from `start`, every step to a random one of the nearest points
+// that `accept(index, path)` lets through. Inner points of the path need two free links, its ends one.
+function walk(start, graph, length, accept = () => true) {
+    if (graph.free(start) < 1) return [start];
+
+    const path = [start];
+    while (path.length < length) {
+        const end = path.length === length - 1;
+        const candidates = graph.nearest(path[path.length - 1], WALK_CHOICES,
+            index => !path.includes(index) && graph.free(index) >= (end ? 1 : 2) && accept(index, path));
+        if (candidates.length === 0) break;
+        path.push(candidates[Math.floor(graph.random() * candidates.length)].index);
+    }
+    return path;
+}
+
+function pathLinks(path) {
+    return path.slice(1).map((index, i) => [path[i], index]);
+}
+
+export const TOPOLOGIES = {
+    hubs: {
+        label: 'Hubs and spokes',
+        params: {
+            // A point takes at most 4 links (MAX_CONNECTIONS_PER_POINT in galaxy.js), the hub point one per spoke
+            spokes: { type: 'integer', default: 3, min: 1, max: 4, description: 'Nearest neighbours wired to each hub' },
+            hubOffset: { type: 'number', default: 0.05, min: 0, max: 1, description: 'How far the virtual hub may sit from its point' }
+        },
+        maxLinks: p => p.spokes,
+        build: (start, graph, p) => {
+            if (graph.free(start) < p.spokes) return null;
+
+            // A virtual hub slightly offset from the actual point gives the effect of a small invisible connector node
+            const offset = [0, 1, 2].map(() => (graph.random() * 2 - 1) * p.hubOffset);
+
+            // Only form a hub when every spoke can be placed
+            const neighbors = graph.nearest(start, p.spokes);
+            if (neighbors.length < p.spokes) return null;
+            return { links: neighbors.map(neighbor => [start, neighbor.index]), offset: offset };
+        }
+    },
+
+    chains: {
+        label: 'Chains',
+        params: {
+            length: { type: 'integer', default: 6, min: 2, max: MAX_UNIT_LINKS + 1, description: 'Points along each chain' }
+        },
+        maxLinks: p => p.length - 1,
+        build: (start, graph, p) => {
+            const path = walk(start, graph, p.length);
+            return path.length >= Math.min(3, p.length) ? { links: pathLinks(path) } : null;
+        }
+    },
+
+    tree: {
+        label: 'Spanning tree fragments',
+        params: {
+            size: { type: 'integer', default: 7, min: 3, max: MAX_UNIT_LINKS + 1, description: 'Points in each fragment' }
+        },
+        maxLinks: p => p.size - 1,
+        build: (start, graph, p) => {
+            if (graph.free(start) < 1) return null;
+            const members = [start].concat(graph.nearest(start, p.size - 1).map(neighbor => neighbor.index));
+            if (members.length < 3) return null;
+
+            // Prim's algorithm over the start point and its nearest neighbours, passing over
+            // edges that would give a point more links than it has free
+            const positions = members.map(index => graph.position(index));
+            const inTree = members.map((index, i) => i === 0);
+            const degrees = members.map(() => 0);
+            const links = [];
+            for (let added = 1; added < members.length; added++) {
+                let best = null;
+                members.forEach((from, i) => {
+                    if (!inTree[i] || degrees[i] >= graph.free(from)) return;
+                    members.forEach((to, j) => {
+                        if (inTree[j]) return;
+                        const d = distance(positions[i], positions[j]);
+                        if (!best || d < best.d) best = { i: i, j: j, d: d };
+                    });
+                });
+                if (!best) break;
+
+                inTree[best.j] = true;
+                degrees[best.i]++;
+                degrees[best.j]++;
+                links.push([members[best.i], members[best.j]]);
+            }
+            return links.length >= 2 ? { links: links } : null;
+        }
+    },
+
+    constellations: {
+        label: 'Constellations',
+        params: {
+            stars: { type: 'integer', default: 6, min: 3, max: MAX_UNIT_LINKS + 1, description: 'Points along each figure' },
+            minHop: { type: 'number', default: 0.4, min: 0, max: 0.9, description: 'Shortest line, as a share of the connection range' },
+            maxTurn: { type: 'number', default: 75, min: 0, max: 180, description: 'Sharpest bend between two lines (degrees)' }
+        },
+        maxLinks: p => p.stars - 1,
+        build: (start, graph, p) => {
+            // Long hops between stars, bending gently: the figure skips the crowd of close neighbours
+            const minDistance = p.minHop * graph.range;
+            const path = walk(start, graph, p.stars, (index, path) => {
+                const position = graph.position(index);
+                const last = graph.position(path[path.length - 1]);
+                if (distance(last, position) < minDistance) return false;
+                return path.length < 2 || turnAngle(graph.position(path[path.length - 2]), last, position) <= p.maxTurn;
+            });
+            return path.length >= 3 ? { links: pathLinks(path) } : null;
+        }
+    }
+};
+
+// Add a custom topology (or replace a built-in one) under the given name
+export function registerTopology(name, definition) {
+    if (typeof definition.build !== 'function' || typeof definition.maxLinks !== 'function') {
+        throw new TypeError(`Topology "${name}" needs build() and maxLinks() functions`);
+    }
+    TOPOLOGIES[name] = Object.assign({ label: name, params: {} }, definition);
+}
+
+// Returns { name, label, params, maxLinks, build(start, graph) } for the named topology
+export function createTopology(name, overrides = {}) {
+    const definition = TOPOLOGIES[name];
+    if (!definition) {
+        throw new Error(`Unknown connection topology "${name}" (available: ${Object.keys(TOPOLOGIES).join(', ')})`);
+    }
+    const params = resolveParams(`connection topology "${name}"`, definition.params, overrides);
+    const maxLinks = definition.maxLinks(params);
+    if (!(Number.isInteger(maxLinks) && maxLinks >= 1 && maxLinks <= MAX_UNIT_LINKS)) {
+        throw new RangeError(`Topology "${name}" allows ${maxLinks} links per unit (must be 1 to ${MAX_UNIT_LINKS})`);
+    }
+
+    return {
+        name: name,
+        label: definition.label,
+        params: params,
+        maxLinks: maxLinks,
+        build: (start, graph) => definition.build(start, graph, params)
+    };
+}